@@ -1,353 +1,1322 @@
-// Builds a static, responsive, auto-scrolling calendar HTML for GitHub Pages.
-// Fetches Planning Center ICS from env.ICS_URL and writes index.html.
+// Builds static, responsive, auto-scrolling calendar HTML for GitHub Pages.
+// Fetches the Planning Center ICS feeds of each display profile (see
+// atrium.config.json) and writes one page per profile, index.html by default.
+// Parsing and the pages themselves are in calendar.js.
 
+import http from 'http';
 import https from 'https';
 import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import {
+  DEFAULTS, STRINGS, IMAGE_EXT, BUILTIN_LAYOUTS,
+  withDefaults, isPlainObject, parseICS, expandEvents, filterEvents, profileFilters, mergeFeeds, sameEvent, upcoming,
+  wallClockToUTCISO, dayKey, dayList, parseRange,
+  t, bi, esc, stripHtml, titleFor, fmtDate, fmtTime, fmtWhen,
+  parseYamlList, layoutFile, loadLayout, logoSrc, themeCss, fontLink, siblingPath, pageData, renderHtml, renderRoomHtml
+} from './calendar.js';
 
-const ICS_URL = process.env.ICS_URL;
-if (!ICS_URL) {
-  console.error('Missing ICS_URL (set a repository secret named ICS_URL with your https://... .ics link).');
-  process.exit(1);
-}
+const CONFIG_FILE = process.env.ATRIUM_CONFIG || 'atrium.config.json';
 
-// ── Config you can tweak ─────────────────────────────────────────────
-const BRAND      = 'This Week at VUMC';
-const TIMEZONE   = 'America/New_York';
-const DAYS_AHEAD = 45;
-const MAX_ITEMS  = 120;
-const SCROLL_MS  = 90000; // 1.5 minutes per loop base; auto-tuned below
-
-// Colors
-const COLORS = {
-  bannerBg:  '#3b556e',
-  bannerFg:  '#ffffff',
-  stripRed:  '#c62828',
-  panelBg:   '#ffffff',
-  panelFg:   '#000000',
-  rule:      '#e5e7eb'
-};
+// Featured events: fetched from Planning Center when PCO_APP_ID/PCO_SECRET
+// are set, otherwise read from featured.json (see update-featured.yml).
+const FEATURED_FILE = 'featured.json';
 
-// Weather (Versailles, KY)
-const WX = {
-  lat: 38.052,
-  lon: -84.729,
-  place: 'Versailles, KY'
-};
+// Fetching: timeout per request, retries (1s, 2s, 4s…) and the folder that
+// keeps the last good copy of each feed (restored by actions/cache).
+const FETCH_TIMEOUT_MS    = 20000;
+const FETCH_RETRIES       = 3;
+const FETCH_BACKOFF_MS    = 1000;
+const FETCH_MAX_REDIRECTS = 5;
+const CACHE_DIR           = '.cache/feeds';
+
+// Weather: last good forecast per location, used for up to WEATHER_MAX_AGE_MS
+// when the provider is down. The "stub" provider reads WEATHER_STUB_FILE.
+const WEATHER_CACHE_DIR  = '.cache/weather';
+const WEATHER_MAX_AGE_MS = 6 * 3600000;
+const WEATHER_STUB_FILE  = 'weather.stub.json';
 // ────────────────────────────────────────────────────────────────────
 
-fetchText(ICS_URL)
-  .then(ics => {
-    const events = parseICS(ics);
-    const now = new Date();
-    const until = new Date(now.getTime() + DAYS_AHEAD * 86400000);
-
-    const filtered = events
-      .filter(e => e.start && new Date(e.start) >= now && new Date(e.start) <= until)
-      .sort((a, b) => new Date(a.start) - new Date(b.start))
-      .slice(0, MAX_ITEMS);
-
-    const html = renderHtml(filtered);
-    fs.writeFileSync('index.html', html, 'utf8');
-    console.log('Wrote index.html');
-  })
+const USAGE = `Usage:
+  node build.js [build] [options]   build every profile (the default)
+  node build.js serve [options]     build into a preview folder, serve it and
+                                    rebuild + reload the browser on changes
+
+Options:
+  --ics <file|url>    use this calendar for every profile instead of its feeds
+  --now <datetime>    pretend it is this ISO time (e.g. 2026-11-01T09:00-05:00)
+  --out <dir>         write files under this folder (serve: .preview)
+  --profile <names>   only build these profiles (comma-separated)
+  --config <file>     config file (default: $ATRIUM_CONFIG or atrium.config.json)
+  --port <n>          serve: port to listen on (default 8080)`;
+
+// Runs once the module has finished loading, so every helper below exists.
+Promise.resolve()
+  .then(() => main(process.argv.slice(2)))
   .catch(err => {
     console.error('Build failed:', err);
     process.exit(1);
   });
 
-function fetchText(url) {
+async function main(argv) {
+  const opts = parseCli(argv);
+  if (opts.command === 'serve') return serve(opts);
+  const profiles = loadConfig(opts.config, opts);
+  return buildAll(profiles, opts.now || new Date(), opts);
+}
+
+function parseCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        ics:     { type: 'string' },
+        now:     { type: 'string' },
+        out:     { type: 'string' },
+        profile: { type: 'string' },
+        config:  { type: 'string' },
+        port:    { type: 'string' },
+        help:    { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    cliFail(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) { console.log(USAGE); process.exit(0); }
+
+  const command = positionals[0] || 'build';
+  if (!['build', 'serve'].includes(command) || positionals.length > 1) cliFail(`Unknown command: ${positionals.join(' ')}`);
+  const now = values.now ? new Date(values.now) : null;
+  if (now && isNaN(now)) cliFail(`--now: not a date-time: ${values.now}`);
+  const port = values.port ? Number(values.port) : 8080;
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) cliFail(`--port: not a port number: ${values.port}`);
+
+  return {
+    command,
+    ics: values.ics || null,
+    now,
+    // The page clock runs this far ahead of (or behind) the real one.
+    clockOffsetMs: now ? now.getTime() - Date.now() : 0,
+    outDir: values.out || (command === 'serve' ? '.preview' : '.'),
+    profiles: values.profile ? values.profile.split(',').map(s => s.trim()).filter(Boolean) : null,
+    config: values.config || CONFIG_FILE,
+    port
+  };
+}
+
+function cliFail(message) {
+  console.error(message + '\n\n' + USAGE);
+  process.exit(1);
+}
+
+async function buildAll(profiles, now, opts = {}) {
+  const outDir = opts.outDir || '.';
+  const texts = new Map();
+  const fetchOnce = url => {
+    if (!texts.has(url)) texts.set(url, /^https?:\/\//.test(url) ? fetchFeed(url) : readFeedFile(url));
+    return texts.get(url);
+  };
+  const forecasts = new Map();
+  const weatherOnce = w => {
+    const key = weatherKey(w);
+    if (!forecasts.has(key)) forecasts.set(key, loadWeather(w, now));
+    return forecasts.get(key);
+  };
+  const layouts = new Map();
+  const layoutOnce = name => {
+    if (!layouts.has(name)) layouts.set(name, loadLayout(name));
+    return layouts.get(name);
+  };
+  const announcementFiles = new Map();
+  const announcementsOnce = file => {
+    if (!announcementFiles.has(file)) announcementFiles.set(file, readAnnouncements(file));
+    return announcementFiles.get(file);
+  };
+  const maxDays = Math.max(...profiles.map(p => p.daysAhead));
+  const featuredAll = await loadFeatured(now, new Date(now.getTime() + maxDays * 86400000));
+
+  for (const profile of profiles) {
+    const until = new Date(now.getTime() + profile.daysAhead * 86400000);
+    const range = { from: now, until, timezone: profile.timezone };
+    const fetched = await Promise.all(profile.feeds.map(feed => fetchOnce(feed.url)));
+    const parsed = fetched.map(f => parseICS(f.text, range));
+    const lists = profile.feeds.map((feed, i) => ({ feed, events: expandEvents(parsed[i], range) }));
+    // Oldest fallback copy in use, if any feed could not be refreshed.
+    const staleAsOf = fetched.filter(f => f.stale).map(f => f.asOf).sort()[0] || null;
+    const merged = mergeFeeds(lists);
+    const rules = profileFilters(profile);
+    const events = filterEvents(merged, rules);
+    const featured = filterEvents(featuredAll, rules)
+      .filter(e => new Date(e.start) <= until)
+      .slice(0, profile.featuredMax);
+
+    const inWindow = upcoming(events, profile, now);
+    const listed = inWindow.slice(0, profile.maxItems);
+    const filtered = listed.filter(e => !featured.some(f => sameEvent(f, e)));
+
+    const weather = await weatherOnce(profile.weather);
+    const layout = await layoutOnce(profile.layout);
+    const data = pageData(profile, filtered, featured, now, staleAsOf, weather, layout);
+    const dataFile = siblingPath(profile.output, 'events.json');
+    const notices = noticesData(profile, announcementsOnce(profile.announcements.file)
+      .concat(await announcementFeed(profile.announcements, range, fetchOnce)), now);
+    const noticesFile = siblingPath(profile.output, 'notices.json');
+    // [file, contents]; all of these (pages, data, exports, reports) decide
+    // whether anything is written at all, the changelog and snapshot not.
+    const unlisted = new Set();
+    const files = [
+      [profile.output, renderHtml(profile, data, notices, layout, opts.clockOffsetMs || 0)],
+      [dataFile, JSON.stringify(data, null, 2) + '\n'],
+      [noticesFile, JSON.stringify(notices, null, 2) + '\n']
+    ];
+    // Rooms are booked by every event, shown or not: private meetings and
+    // events this profile's filters leave out still take up the room. The
+    // reports are published, so private ones only give their time and room.
+    const booked = merged.filter(e => e.status !== 'CANCELLED').map(e => redactPrivate(profile, e));
+    const problems = findConflicts(profile, booked, now, until);
+    if (profile.conflicts.staff) {
+      const staffFile = siblingPath(profile.output, profile.conflicts.staff);
+      const staffLayout = conflictLayout(layout, problems);
+      const staffData = pageData(profile, filtered, featured, now, staleAsOf, weather, staffLayout);
+      const staffDataFile = siblingPath(staffFile, 'events.json');
+      const noticesUrl = path.relative(path.dirname(staffFile), noticesFile).split(path.sep).join('/');
+      files.push([staffFile, renderHtml(profile, staffData, notices, staffLayout, opts.clockOffsetMs || 0, path.basename(staffDataFile), noticesUrl)],
+        [staffDataFile, JSON.stringify(staffData, null, 2) + '\n']);
+    }
+    roomsFor(profile, events, now, until).forEach(room => {
+      const file = path.join(siblingPath(profile.output, 'rooms'), room.slug + '.html');
+      const roomFile = siblingPath(file, 'events.json');
+      const roomJson = roomData(profile, room, now);
+      const noticesUrl = path.relative(path.dirname(file), noticesFile).split(path.sep).join('/');
+      files.push([file, renderRoomHtml(profile, roomJson, path.basename(roomFile), notices, noticesUrl, opts.clockOffsetMs || 0)],
+        [roomFile, JSON.stringify(roomJson, null, 2) + '\n']);
+      unlisted.add(roomFile);
+    });
+
+    const exported = listed.map(e => ({ ...e, featured: featured.some(f => sameEvent(f, e)) }));
+    Object.entries(EXPORTERS).forEach(([kind, render]) => {
+      const name = profile.exports[kind];
+      if (name) files.push([siblingPath(profile.output, name), render(profile, exported, now)]);
+    });
+    const report = conflictsData(problems, now, until);
+    if (profile.conflicts.json) files.push([siblingPath(profile.output, profile.conflicts.json), JSON.stringify(report, null, 2) + '\n']);
+    if (profile.conflicts.html) files.push([siblingPath(profile.output, profile.conflicts.html), renderConflicts(profile, report)]);
+
+    const snapshotFile = siblingPath(profile.output, SNAPSHOT_FILE);
+    const previous = readJson(path.join(outDir, snapshotFile));
+    // Cancelled overrides of single instances only show up before expansion,
+    // which drops them; a cancelled series shows up in its expanded instances.
+    const cancelled = new Set(merged.concat(...parsed).filter(e => e.status === 'CANCELLED').map(changeKey));
+    const snapshot = takeSnapshot(inWindow, now, until, pageFingerprint(files, dayKey(now, profile)));
+    const changes = diffSnapshots(previous, snapshot, cancelled);
+    if (previous && previous.fingerprint === snapshot.fingerprint && !changes.length &&
+        files.every(([file]) => fs.existsSync(path.join(outDir, file)))) {
+      console.log(`No visible changes, nothing written (${profile.name})`);
+      continue;
+    }
+
+    snapshot.log = changes.map(c => ({ at: now.toISOString(), ...c }))
+      .concat((previous && previous.log) || []).slice(0, profile.changes.keep);
+    files.push(...changelogFiles(profile, snapshot.log, changes.length > 0, outDir), [snapshotFile, JSON.stringify(snapshot, null, 2) + '\n']);
+
+    files.forEach(([file, contents]) => writeOutput(path.join(outDir, file), contents));
+    if (changes.length) console.log(`${changes.length} change(s) since the last build (${profile.name})`);
+    if (problems.length) console.log(`${problems.length} scheduling problem(s), see ${profile.conflicts.html || profile.conflicts.json || 'the build log'} (${profile.name})`);
+    console.log(`Wrote ${files.map(([file]) => file).filter(f => !unlisted.has(f)).join(', ')} (${profile.name})`);
+  }
+}
+
+function writeOutput(file, contents) {
+  const dir = path.dirname(file);
+  if (dir !== '.') fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, contents, 'utf8');
+}
+
+// ── Local preview (node build.js serve) ────────────────────────────
+const PREVIEW_TYPES = {
+  '.html': 'text/html; charset=utf-8', '.json': 'application/json; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8', '.xml': 'application/rss+xml; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8', '.css': 'text/css', '.js': 'text/javascript',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.svg': 'image/svg+xml'
+};
+const RELOAD_SNIPPET = "<script>new EventSource('/__reload').onmessage=()=>location.reload();</script>";
+
+// Rebuilds in a child process (so edits to the scripts themselves apply)
+// whenever build.js, calendar.js, the config, featured.json or a local --ics
+// file changes, and tells open pages to reload over server-sent events.
+function serve(opts) {
+  const root = path.resolve(opts.outDir);
+  const args = [fileURLToPath(import.meta.url), 'build', '--out', opts.outDir, '--config', opts.config];
+  if (opts.ics) args.push('--ics', opts.ics);
+  if (opts.now) args.push('--now', opts.now.toISOString());
+  if (opts.profiles) args.push('--profile', opts.profiles.join(','));
+
+  const clients = new Set();
+  let building = false, again = false;
+  const rebuild = () => {
+    if (building) { again = true; return; }
+    building = true;
+    spawn(process.execPath, args, { stdio: 'inherit' }).on('exit', code => {
+      building = false;
+      if (code === 0) clients.forEach(res => res.write('data: reload\n\n'));
+      else console.error('Build failed; keeping the previous preview.');
+      if (again) { again = false; rebuild(); }
+    });
+  };
+
+  const scripts = ['calendar.js', 'qr.js'].map(f => fileURLToPath(new URL(f, import.meta.url)));
+  const watched = [args[0], ...scripts, opts.config, FEATURED_FILE, DEFAULTS.announcements.file, ...BUILTIN_LAYOUTS.map(layoutFile)];
+  if (opts.ics && !/^https?:\/\//.test(opts.ics)) watched.push(opts.ics);
+  watched.forEach(file => fs.watchFile(file, { interval: 500 }, (cur, prev) => {
+    if (cur.mtimeMs === prev.mtimeMs) return;
+    console.log(`${file} changed, rebuilding`);
+    rebuild();
+  }));
+
+  http.createServer((req, res) => {
+    let urlPath;
+    try { urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname); }
+    catch { res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request'); return; }
+    if (urlPath === '/__reload') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    let file = path.join(root, urlPath);
+    if (file !== root && !file.startsWith(root + path.sep)) { res.writeHead(403).end(); return; }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+    if (!fs.existsSync(file)) { res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found'); return; }
+    const type = PREVIEW_TYPES[path.extname(file)] || 'application/octet-stream';
+    let body = fs.readFileSync(file);
+    if (path.extname(file) === '.html') body = body.toString('utf8').replace('</body>', RELOAD_SNIPPET + '</body>');
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' }).end(body);
+  }).listen(opts.port, () => {
+    console.log(`Previewing ${opts.outDir} at http://localhost:${opts.port}/ (Ctrl+C to stop)`);
+    rebuild();
+  });
+}
+
+// ── Config file & profiles ─────────────────────────────────────────
+// atrium.config.json: { "defaults": {...}, "profiles": { "lobby": {...}, ... } }.
+// Each profile is DEFAULTS ← "defaults" ← the profile's own keys (objects
+// merge, arrays replace). Without a config file one profile is built from
+// DEFAULTS alone, writing index.html as before.
+const PROFILE_SCHEMA = {
+  output:      'path',
+  brand:       'string',
+  timezone:    'timezone',
+  locale:      'locale',
+  hour24:      'boolean',
+  bilingual:   'bilingual',
+  translations: 'translations',
+  daysAhead:   'posint',
+  maxItems:    'posint',
+  scrollMs:    'posint',
+  refreshMs:   'posint',
+  mode:        ['scroll', 'pages'],
+  pageDwellMs: 'posint',
+  pageTransition: ['fade', 'slide'],
+  featuredMax: 'count',
+  details:     ['spotlight', 'rows', false],
+  spotlightMs: 'posint',
+  display:     { hours: 'hours', offHours: ['dim', 'clock', 'blank'], pixelShiftMs: 'count', layoutShiftMs: 'count' },
+  announcements: { file: 'source', url: 'https', env: 'string', pollMs: 'posint' },
+  colors:      { bannerBg: 'string', bannerFg: 'string', stripRed: 'string', panelBg: 'string', panelFg: 'string', rule: 'string' },
+  layout:      'layout',
+  fonts:       { body: 'string', heading: 'string', url: 'https' },
+  logo:        'image',
+  sizes:       { text: 'number', logo: 'string' },
+  weather:     { lat: 'number', lon: 'number', place: 'string', provider: ['open-meteo', 'stub'], units: ['F', 'C'],
+                 forecastDays: [0, 3, 4, 5], alerts: 'boolean' },
+  feeds:       'feeds',
+  filters:     'filters',
+  hideCancelled: 'boolean',
+  hidePrivate:   'boolean',
+  rooms:       'rooms',
+  exports:     { json: 'file', ics: 'file', rss: 'file', digest: 'file' },
+  changes:     { json: 'file', markdown: 'file', keep: 'posint' },
+  conflicts:   { json: 'file', html: 'file', staff: 'file' },
+  siteUrl:     'string'
+};
+const FILTER_FIELDS = ['title', 'description', 'location', 'feed', 'category', 'status', 'class'];
+const FILTER_GROUPS = ['all', 'any', 'not'];
+
+// `opts` (from the CLI) may swap every profile's feeds for one --ics source
+// and limit the build to some --profile names.
+function loadConfig(file, opts = {}) {
+  let raw = { profiles: { default: {} } };
+  if (fs.existsSync(file)) {
+    try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); }
+    catch (err) { configFail(file, [err.message]); }
+  }
+
+  const errors = [];
+  if (!isPlainObject(raw)) configFail(file, ['top level: expected an object with "profiles"']);
+  Object.keys(raw).filter(k => k !== 'defaults' && k !== 'profiles')
+    .forEach(k => errors.push(`${k}: unknown key (expected "defaults" or "profiles")`));
+  if (raw.defaults !== undefined) validateProfile(raw.defaults, 'defaults', errors);
+  if (!isPlainObject(raw.profiles) || !Object.keys(raw.profiles).length) {
+    errors.push('profiles: expected an object with at least one named profile');
+  } else {
+    Object.entries(raw.profiles).forEach(([name, p]) => validateProfile(p, `profiles.${name}`, errors));
+  }
+  if (errors.length) configFail(file, errors);
+
+  const wanted = opts.profiles || Object.keys(raw.profiles);
+  wanted.filter(name => !raw.profiles[name])
+    .forEach(name => errors.push(`--profile: no profile named "${name}" (have ${Object.keys(raw.profiles).join(', ')})`));
+  if (errors.length) configFail(file, errors);
+
+  const profiles = wanted.map(name => {
+    const merged = withDefaults(raw.defaults, raw.profiles[name]);
+    const feeds = opts.ics
+      ? [{ name: 'Local', url: opts.ics, color: merged.colors.bannerBg }]
+      : merged.feeds
+        .map(f => ({ ...f, url: f.url || process.env[f.env] }))
+        .filter(f => f.url);
+    if (!feeds.length) {
+      const envs = merged.feeds.map(f => f.env).filter(Boolean).join(', ') || 'ICS_URL';
+      errors.push(`profiles.${name}.feeds: no feed URL available (set one of ${envs} with your https://... .ics link)`);
+    }
+    return { ...merged, name, feeds, logo: logoSrc(merged.logo) };
+  });
+
+  const outputs = {};
+  profiles.forEach(p => {
+    if (outputs[p.output]) errors.push(`profiles.${p.name}.output: "${p.output}" is also written by profile "${outputs[p.output]}"`);
+    outputs[p.output] = p.name;
+  });
+  if (errors.length) configFail(file, errors);
+  return profiles;
+}
+
+function configFail(file, errors) {
+  console.error(`Invalid configuration (${fs.existsSync(file) ? file : 'built-in defaults'}):`);
+  errors.forEach(e => console.error('  - ' + e));
+  process.exit(1);
+}
+
+function validateProfile(p, where, errors, schema = PROFILE_SCHEMA) {
+  if (!isPlainObject(p)) { errors.push(`${where}: expected an object`); return; }
+  Object.entries(p).forEach(([key, v]) => {
+    const type = schema[key];
+    const at = `${where}.${key}`;
+    if (!type) errors.push(`${at}: unknown key`);
+    else if (isPlainObject(type)) validateProfile(v, at, errors, type);
+    else {
+      const msg = checkValue(type, v, at, errors);
+      if (msg) errors.push(`${at}: ${msg}`);
+    }
+  });
+}
+
+// A matcher is an object of fields (all must match) plus optional
+// "all"/"any" lists and a "not" matcher; see filterEvents.
+function validateMatcher(m, at, errors) {
+  if (!isPlainObject(m) || !Object.keys(m).length) { errors.push(`${at}: expected an object of fields`); return; }
+  Object.entries(m).forEach(([key, val]) => {
+    const ka = `${at}.${key}`;
+    if (key === 'not') validateMatcher(val, ka, errors);
+    else if (key === 'all' || key === 'any') {
+      if (!Array.isArray(val) || !val.length) errors.push(`${ka}: expected a non-empty list of matchers`);
+      else val.forEach((sub, i) => validateMatcher(sub, `${ka}[${i}]`, errors));
+    }
+    else if (!FILTER_FIELDS.includes(key)) errors.push(`${ka}: unknown field (use ${FILTER_FIELDS.concat(FILTER_GROUPS).join(', ')})`);
+    else [].concat(val).forEach(pattern => {
+      if (typeof pattern !== 'string') { errors.push(`${ka}: expected a pattern string or a list of them`); return; }
+      try { new RegExp(pattern, 'i'); }
+      catch (err) { errors.push(`${ka}: invalid regular expression (${err.message})`); }
+    });
+  });
+}
+
+// Returns an error message for `v`, or '' when it is valid.
+function checkValue(type, v, at, errors) {
+  if (Array.isArray(type)) return type.includes(v) ? '' : `expected one of ${type.map(t => JSON.stringify(t)).join(', ')}`;
+  switch (type) {
+    case 'string':   return typeof v === 'string' ? '' : 'expected a string';
+    case 'boolean':  return typeof v === 'boolean' ? '' : 'expected true or false';
+    case 'number':   return typeof v === 'number' && isFinite(v) ? '' : 'expected a number';
+    case 'posint':   return Number.isInteger(v) && v > 0 ? '' : 'expected a positive whole number';
+    case 'count':    return Number.isInteger(v) && v >= 0 ? '' : 'expected a whole number (0 or more)';
+    case 'file':     return v === false || (typeof v === 'string' && /^[\w.-]+$/.test(v)) ? '' : 'expected a file name (no folders) or false';
+    case 'https':    return typeof v === 'string' && /^https:\/\//.test(v) ? '' : 'expected an https:// link';
+    case 'source':   return v === false || (typeof v === 'string' && /\.(json|ya?ml)$/i.test(v) && !v.split(/[\\/]/).includes('..'))
+      ? '' : 'expected a relative .json, .yml or .yaml path, or false';
+    case 'layout':   return BUILTIN_LAYOUTS.includes(v) || (typeof v === 'string' && /\.m?js$/.test(v) && fs.existsSync(v))
+      ? '' : `expected one of ${BUILTIN_LAYOUTS.join(', ')} or the path of a layout .js file`;
+    case 'image':
+      if (v === '' || (typeof v === 'string' && /^https:\/\//.test(v))) return '';
+      if (typeof v !== 'string' || !IMAGE_EXT.test(v)) return 'expected an https:// image link or an image file (.png, .jpg, .svg…)';
+      return fs.existsSync(v) ? '' : `no such file: ${v}`;
+    case 'path':     return typeof v === 'string' && /\.html?$/.test(v) && !v.split(/[\\/]/).includes('..') ? '' : 'expected a relative .html path';
+    case 'timezone':
+      try { new Intl.DateTimeFormat('en-US', { timeZone: v }); return typeof v === 'string' ? '' : 'expected an IANA time zone name'; }
+      catch { return `unknown time zone "${v}" (use an IANA name such as "America/New_York")`; }
+    case 'feeds':
+      if (!Array.isArray(v) || !v.length) return 'expected a non-empty list of feeds';
+      v.forEach((f, i) => {
+        const fa = `${at}[${i}]`;
+        if (!isPlainObject(f)) { errors.push(`${fa}: expected an object`); return; }
+        if (typeof f.name !== 'string' || !f.name) errors.push(`${fa}.name: expected a string`);
+        if (!f.url && !f.env) errors.push(`${fa}: needs "url" or "env"`);
+        if (f.url !== undefined && !/^https:\/\//.test(f.url)) errors.push(`${fa}.url: expected an https:// link (not webcal)`);
+        if (f.env !== undefined && typeof f.env !== 'string') errors.push(`${fa}.env: expected an environment variable name`);
+        if (f.color !== undefined && typeof f.color !== 'string') errors.push(`${fa}.color: expected a CSS color string`);
+        if (f.priority !== undefined && typeof f.priority !== 'number') errors.push(`${fa}.priority: expected a number`);
+        Object.keys(f).filter(k => !['name', 'url', 'env', 'color', 'priority'].includes(k))
+          .forEach(k => errors.push(`${fa}.${k}: unknown key`));
+      });
+      return '';
+    case 'locale':
+      try { return typeof v === 'string' && Intl.DateTimeFormat.supportedLocalesOf(v).length ? '' : `unsupported locale "${v}"`; }
+      catch { return `expected a locale such as "en-US" or "es-US"`; }
+    case 'bilingual':
+      if (v === false) return '';
+      if (!isPlainObject(v)) return 'expected false or { "locale", "mode", "switchMs" }';
+      validateProfile(v, at, errors, { locale: 'locale', mode: ['stack', 'alternate'], switchMs: 'posint' });
+      if (!v.locale) errors.push(`${at}.locale: required`);
+      return '';
+    case 'translations':
+      if (!isPlainObject(v)) return 'expected an object of languages, e.g. { "es": { "upcoming": "..." } }';
+      Object.entries(v).forEach(([lang, table]) => {
+        if (!isPlainObject(table)) { errors.push(`${at}.${lang}: expected an object of strings`); return; }
+        Object.entries(table).forEach(([key, s]) => {
+          if (key === 'weather' && isPlainObject(s)) return;
+          if (!(key in STRINGS.en)) errors.push(`${at}.${lang}.${key}: unknown string (use ${Object.keys(STRINGS.en).join(', ')})`);
+          else if (typeof s !== 'string') errors.push(`${at}.${lang}.${key}: expected a string`);
+        });
+      });
+      return '';
+    case 'hours':
+      if (v === false) return '';
+      if (!isPlainObject(v) || !Object.keys(v).length) return 'expected false or an object such as { "mon-fri": "07:00-21:00" }';
+      Object.entries(v).forEach(([days, spec]) => {
+        const da = `${at}.${days}`;
+        if (!dayList(days)) { errors.push(`${da}: unknown days (use e.g. "mon", "mon-fri", "sat,sun" or "daily")`); return; }
+        if (isPlainObject(spec)) validateProfile(spec, da, errors, { hours: 'ranges', offHours: ['dim', 'clock', 'blank'] });
+        else {
+          const msg = checkValue('ranges', spec, da, errors);
+          if (msg) errors.push(`${da}: ${msg}`);
+        }
+      });
+      return '';
+    case 'ranges':
+      return v === false || [].concat(v).every(r => typeof r === 'string' && parseRange(r)) && [].concat(v).length
+        ? '' : 'expected false, a time range such as "07:00-21:00" or a list of them';
+    case 'rooms':
+      if (v === false || v === 'auto') return '';
+      if (!Array.isArray(v) || !v.length) return 'expected false, "auto" or a non-empty list of rooms';
+      v.forEach((r, i) => {
+        const ra = `${at}[${i}]`;
+        if (typeof r === 'string') { if (!r.trim()) errors.push(`${ra}: expected a room name`); return; }
+        if (!isPlainObject(r)) { errors.push(`${ra}: expected a room name or { "name", "match" }`); return; }
+        if (typeof r.name !== 'string' || !r.name.trim()) errors.push(`${ra}.name: expected a string`);
+        if (r.match !== undefined) {
+          try { new RegExp(r.match, 'i'); }
+          catch (err) { errors.push(`${ra}.match: invalid regular expression (${err.message})`); }
+        }
+        Object.keys(r).filter(k => !['name', 'match'].includes(k)).forEach(k => errors.push(`${ra}.${k}: unknown key`));
+      });
+      return '';
+    case 'filters':
+      if (!Array.isArray(v)) return 'expected a list of rules';
+      v.forEach((r, i) => {
+        const fa = `${at}[${i}]`;
+        const keys = isPlainObject(r) ? Object.keys(r) : [];
+        if (keys.length !== 1 || !['include', 'exclude'].includes(keys[0])) {
+          errors.push(`${fa}: expected { "include": {...} } or { "exclude": {...} }`);
+          return;
+        }
+        validateMatcher(r[keys[0]], `${fa}.${keys[0]}`, errors);
+      });
+      return '';
+    default: return '';
+  }
+}
+
+// ── Fetching ───────────────────────────────────────────────────────
+// Redirects are followed, slow hosts time out, and network errors, 5xx,
+// 408 and 429 are retried with exponential backoff. Feeds are then cached
+// in CACHE_DIR: later runs send If-None-Match / If-Modified-Since, and when
+// the source is down the last good copy is used and the page says so.
+function fetchText(url, headers = {}) {
+  return fetchWithRetry(url, headers).then(res => {
+    if (res.status !== 200) throw new Error(`Fetch failed: ${res.status} ${hostOf(url)}`);
+    return res.body;
+  });
+}
+
+// Feed URLs carry their secret in the path, so logs only name the host.
+function hostOf(url) {
+  try { return new URL(url).host; } catch { return 'feed'; }
+}
+
+function request(url, headers, redirects = FETCH_MAX_REDIRECTS) {
   return new Promise((resolve, reject) => {
-    https.get(url, res => {
-      if (res.statusCode !== 200) return reject(new Error('ICS fetch failed: ' + res.statusCode));
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.get(url, { headers }, res => {
+      const status = res.statusCode;
+      if ([301, 302, 303, 307, 308].includes(status) && res.headers.location) {
+        res.resume();
+        if (!redirects) return reject(new Error(`Too many redirects: ${hostOf(url)}`));
+        const next = new URL(res.headers.location, url);
+        if (url.startsWith('https:') && next.protocol !== 'https:') {
+          return reject(new Error(`Refused redirect from https to ${next.protocol.slice(0, -1)}: ${hostOf(url)}`));
+        }
+        return resolve(request(next.toString(), redirectHeaders(headers, url, next), redirects - 1));
+      }
       let data = '';
+      res.setEncoding('utf8');
       res.on('data', d => data += d);
-      res.on('end', () => resolve(data));
-    }).on('error', reject);
+      res.on('end', () => resolve({ status, headers: res.headers, body: data }));
+      res.on('error', reject);
+    });
+    req.setTimeout(FETCH_TIMEOUT_MS, () => req.destroy(new Error(`Timed out after ${FETCH_TIMEOUT_MS} ms: ${hostOf(url)}`)));
+    req.on('error', reject);
   });
 }
 
-// ── ICS parser with TZID support ────────────────────────────────────
-function getLine(block, name) {
-  const re = new RegExp('^' + name + '([^:\\n]*):([^\\n]+)', 'm');
-  const m = block.match(re);
-  if (!m) return null;
-  const paramsStr = m[1] || '';
-  const value = m[2].trim();
-  const params = {};
-  paramsStr.replace(/;([^=;:]+)=([^;:]+)/g, (_, k, v) => { params[k.toUpperCase()] = v; return ''; });
-  return { value, params };
+// Credentials stay with the origin they were meant for.
+function redirectHeaders(headers, from, to) {
+  if (new URL(from).origin === to.origin) return headers;
+  return Object.fromEntries(Object.entries(headers || {})
+    .filter(([name]) => !/^(authorization|cookie|proxy-authorization)$/i.test(name)));
 }
 
-function wallClockToUTCISO(y, m, d, H, M, S, tz) {
-  const t = Date.UTC(y, m, d, H, M, S);
-  const offsetMs = tzOffsetAt(new Date(t), tz);
-  return new Date(t - offsetMs).toISOString();
+async function fetchWithRetry(url, headers) {
+  for (let attempt = 1; ; attempt++) {
+    let res = null, err;
+    try { res = await request(url, headers); }
+    catch (e) { err = e; }
+    const retryable = err || [408, 429].includes(res.status) || res.status >= 500;
+    if (!retryable) return res;
+    if (attempt > FETCH_RETRIES) {
+      if (err) throw err;
+      return res;
+    }
+    const wait = FETCH_BACKOFF_MS * 2 ** (attempt - 1);
+    console.warn(`${err ? err.message : `HTTP ${res.status} from ${hostOf(url)}`}; retry ${attempt}/${FETCH_RETRIES} in ${wait} ms`);
+    await new Promise(r => setTimeout(r, wait));
+  }
 }
 
-function tzOffsetAt(utcDate, timeZone) {
-  const fmt = new Intl.DateTimeFormat('en-US', {
-    timeZone,
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', second: '2-digit',
-    hour12: false
+// --ics with a saved file: same shape as fetchFeed.
+function readFeedFile(file) {
+  return Promise.resolve({
+    text: fs.readFileSync(file, 'utf8'),
+    asOf: fs.statSync(file).mtime.toISOString(),
+    stale: false
   });
-  const parts = Object.fromEntries(fmt.formatToParts(utcDate).map(p => [p.type, p.value]));
-  const asIfUTC = Date.UTC(
-    Number(parts.year), Number(parts.month)-1, Number(parts.day),
-    Number(parts.hour), Number(parts.minute), Number(parts.second)
-  );
-  return asIfUTC - utcDate.getTime();
 }
 
-function getSimple(block, name) {
-  const m = block.match(new RegExp('^' + name + '(?:;[^:\\n]+)?:([^\\n]+)', 'm'));
-  return m ? m[1].trim() : '';
+// Resolves to { text, asOf, stale }: asOf is when the source last answered.
+async function fetchFeed(url) {
+  const key = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  const bodyFile = path.join(CACHE_DIR, key + '.ics');
+  const metaFile = path.join(CACHE_DIR, key + '.json');
+  // Unreadable metadata (say, cut short by an interrupted run) means no cache.
+  const meta = readJson(metaFile);
+  const cached = meta && fs.existsSync(bodyFile) ? { text: fs.readFileSync(bodyFile, 'utf8'), meta } : null;
+
+  const headers = {};
+  if (cached && cached.meta.etag) headers['If-None-Match'] = cached.meta.etag;
+  if (cached && cached.meta.lastModified) headers['If-Modified-Since'] = cached.meta.lastModified;
+
+  try {
+    const res = await fetchWithRetry(url, headers);
+    const fetchedAt = new Date().toISOString();
+    if (res.status === 304 && cached) {
+      writeOutput(metaFile, JSON.stringify({ ...cached.meta, fetchedAt }, null, 2));
+      return { text: cached.text, asOf: fetchedAt, stale: false };
+    }
+    if (res.status !== 200) throw new Error(`Fetch failed: ${res.status} ${hostOf(url)}`);
+    // Some hosts answer 200 with an HTML error page.
+    if (!/BEGIN:VCALENDAR/.test(res.body)) throw new Error(`Not an ICS calendar: ${hostOf(url)}`);
+    writeOutput(bodyFile, res.body);
+    writeOutput(metaFile, JSON.stringify({
+      etag: res.headers.etag || null,
+      lastModified: res.headers['last-modified'] || null,
+      fetchedAt
+    }, null, 2));
+    return { text: res.body, asOf: fetchedAt, stale: false };
+  } catch (err) {
+    if (!cached) throw err;
+    console.warn(`${err.message}; building from the copy fetched ${cached.meta.fetchedAt}`);
+    return { text: cached.text, asOf: cached.meta.fetchedAt, stale: true };
+  }
 }
 
-function toISOWithZone(line, defaultTZ) {
-  if (!line) return null;
-  const v = line.value;
-  const tz = (line.params && line.params.TZID) ? line.params.TZID : null;
+// ── Featured events (Planning Center) ──────────────────────────────
+const PCO_EVENTS_URL = 'https://api.planningcenteronline.com/calendar/v2/events';
 
-  if (/^\d{8}$/.test(v)) {
-    const y = +v.slice(0,4), m = +v.slice(4,6)-1, d = +v.slice(6,8);
-    return wallClockToUTCISO(y, m, d, 0, 0, 0, tz || defaultTZ);
+async function loadFeatured(now, until) {
+  const { PCO_APP_ID, PCO_SECRET } = process.env;
+  let list = null;
+  if (PCO_APP_ID && PCO_SECRET) {
+    try { list = await fetchPcoFeatured(PCO_APP_ID, PCO_SECRET, now, until); }
+    catch (err) { console.warn('Planning Center featured fetch failed, using ' + FEATURED_FILE + ':', err.message); }
   }
-  if (/^\d{8}T\d{6}Z$/.test(v)) return new Date(v).toISOString();
-  if (/^\d{8}T\d{6}$/.test(v)) {
-    const y = +v.slice(0,4), m = +v.slice(4,6)-1, d = +v.slice(6,8);
-    const H = +v.slice(9,11), M = +v.slice(11,13), S = +v.slice(13,15);
-    return wallClockToUTCISO(y, m, d, H, M, S, tz || defaultTZ);
+  if (!list && fs.existsSync(FEATURED_FILE)) {
+    list = JSON.parse(fs.readFileSync(FEATURED_FILE, 'utf8')).events || [];
   }
-  return new Date(v).toISOString();
-}
-
-function parseICS(ics) {
-  ics = ics.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
-  const blocks = ics.split('BEGIN:VEVENT').slice(1).map(b => 'BEGIN:VEVENT' + b);
-  const unesc = s => String(s || '').replace(/\\n/g, '\n').replace(/\\,/g, ',').replace(/\\\\/g, '\\').trim();
-
-  return blocks.map(block => {
-    const sLine = getLine(block, 'DTSTART');
-    const eLine = getLine(block, 'DTEND');
-    const title = unesc(getSimple(block, 'SUMMARY')) || 'Untitled';
-    const location = unesc(getSimple(block, 'LOCATION'));
-    const description = unesc(getSimple(block, 'DESCRIPTION'));
-    const all =
-      (sLine && sLine.params && sLine.params.VALUE === 'DATE') ||
-      (sLine && /^\d{8}$/.test(sLine.value));
-    const startISO = toISOWithZone(sLine, TIMEZONE);
-    const endISO   = toISOWithZone(eLine, TIMEZONE);
-    return { title, location, description, allDay: all, start: startISO, end: endISO };
+  return (list || [])
+    .filter(e => e.start && new Date(e.end || e.start) >= now && new Date(e.start) <= until)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+// Pages through calendar/v2/events via links.next (100 per page).
+async function fetchPcoFeatured(appId, secret, now, until) {
+  const headers = {
+    Authorization: 'Basic ' + Buffer.from(appId + ':' + secret).toString('base64'),
+    Accept: 'application/json'
+  };
+  const params = new URLSearchParams({
+    per_page: '100',
+    order: 'starts_at',
+    'where[starts_at][gte]': now.toISOString(),
+    'where[starts_at][lte]': until.toISOString()
   });
+  const out = [];
+  let url = PCO_EVENTS_URL + '?' + params.toString();
+  for (let page = 0; url && page < 50; page++) {
+    const j = JSON.parse(await fetchText(url, headers));
+    (j.data || []).forEach(d => {
+      const a = d.attributes || {};
+      // Some orgs have "featured", others "is_featured".
+      if (a.featured === true || a.is_featured === true) out.push(pcoToFeatured(a));
+    });
+    url = j.links && j.links.next;
+  }
+  return out;
 }
 
-// ── Formatting ─────────────────────────────────────────────────────
-function fmtDate(d){
-  return new Intl.DateTimeFormat('en-US', {
-    weekday:'short', month:'short', day:'numeric', timeZone: TIMEZONE
-  }).format(new Date(d));
+function pcoToFeatured(a) {
+  return {
+    title:       a.name || a.title || 'Untitled',
+    start:       a.starts_at,
+    end:         a.ends_at,
+    location:    a.location_name || '',
+    allDay:      !!a.all_day,
+    description: a.summary || a.description || '',
+    image:       a.image_url || '',
+    url:         a.registration_url || ''
+  };
 }
-function fmtTime(d){
-  return new Intl.DateTimeFormat('en-US', {
-    hour:'numeric', minute:'2-digit', timeZone: TIMEZONE
-  }).format(new Date(d)).toLowerCase();
+
+// ── Announcements (ticker, emergency override) ─────────────────────
+// A file holds a list (or { "announcements": [...] }) of
+//   { "text", "detail", "start", "end", "priority", "emergency" }
+// where only text is required. Times are ISO 8601; one without an offset,
+// or a bare date, is in the profile's time zone, and a bare end date
+// includes that day. Higher priorities come first in the ticker. In an ICS
+// calendar SUMMARY is the text, DESCRIPTION the detail, PRIORITY 1–9 the
+// priority (1 highest) and the category "Emergency" marks an emergency.
+const ANNOUNCEMENT_KEYS = ['text', 'detail', 'start', 'end', 'priority', 'emergency'];
+const LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Bad entries are skipped with a warning rather than failing the build, so
+// one typo can't hold back the calendar (or the other announcements).
+function readAnnouncements(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  let list;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    const raw = /\.ya?ml$/i.test(file) ? parseYamlList(text) : JSON.parse(text);
+    list = Array.isArray(raw) ? raw : isPlainObject(raw) && raw.announcements;
+    if (!Array.isArray(list)) throw new Error('expected a list of announcements');
+  } catch (err) {
+    console.warn(`${file}: announcements not read (${err.message})`);
+    return [];
+  }
+  return list.filter((a, i) => {
+    const problem = announcementProblem(a);
+    if (problem) console.warn(`${file}: announcement ${i + 1} skipped (${problem})`);
+    return !problem;
+  });
 }
-function sameDay(a,b){
-  const A=new Date(a), B=new Date(b||a);
-  return A.getFullYear()==B.getFullYear() && A.getMonth()==B.getMonth() && A.getDate()==B.getDate();
+
+function announcementProblem(a) {
+  if (!isPlainObject(a)) return 'expected an object';
+  const unknown = Object.keys(a).find(k => !ANNOUNCEMENT_KEYS.includes(k));
+  if (unknown) return `unknown key "${unknown}"`;
+  if (typeof a.text !== 'string' || !a.text.trim()) return '"text" is required';
+  if (a.detail !== undefined && typeof a.detail !== 'string') return '"detail" should be a string';
+  const bad = ['start', 'end'].find(k => a[k] !== undefined && !LOCAL_TIME.test(a[k]) && isNaN(Date.parse(a[k])));
+  if (bad) return `"${bad}" is not a date or time`;
+  if (a.priority !== undefined && typeof a.priority !== 'number') return '"priority" should be a number';
+  if (a.emergency !== undefined && typeof a.emergency !== 'boolean') return '"emergency" should be true or false';
+  return '';
 }
-function esc(s){ return String(s||'').replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
 
-// ── HTML render ─────────────────────────────────────────────────────
-function renderHtml(events){
-  const groups = {};
-  events.forEach(e => {
-    const label = fmtDate(e.start);
-    (groups[label] = groups[label] || []).push(e);
+// Events of the announcements calendar; a failed fetch leaves them out.
+async function announcementFeed(a, range, fetchOnce) {
+  const url = a.url || (a.env && process.env[a.env]);
+  if (!url) return [];
+  try { return expandEvents(parseICS((await fetchOnce(url)).text, range), range).map(icsAnnouncement); }
+  catch (err) { console.warn(`Announcements calendar not read: ${err.message}`); return []; }
+}
+
+function icsAnnouncement(e) {
+  return {
+    text: e.title,
+    detail: e.description,
+    start: e.start,
+    end: e.end,
+    priority: e.priority ? 10 - e.priority : 0,
+    emergency: e.categories.some(c => /^emergency$/i.test(c))
+  };
+}
+
+// ISO time of an announcement's start or end for this profile.
+function announcementTime(v, p, isEnd) {
+  if (v === undefined || v === null || v === '') return null;
+  const m = String(v).match(LOCAL_TIME);
+  if (!m) return new Date(v).toISOString();
+  const [y, mo, d, H, M, S] = m.slice(1).map(x => Number(x || 0));
+  return wallClockToUTCISO(y, mo - 1, d + (isEnd && m[4] === undefined ? 1 : 0), H, M, S, p.timezone);
+}
+
+// notices.json: announcements not yet over, highest priority first, each
+// pre-rendered for the ticker or, for emergencies, the full-screen alert.
+function noticesData(p, list, now) {
+  const items = list
+    .map(a => ({ ...a, start: announcementTime(a.start, p), end: announcementTime(a.end, p, true) }))
+    .filter(a => !a.end || Date.parse(a.end) > now)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || Date.parse(a.start || 0) - Date.parse(b.start || 0));
+  return {
+    generated: now.toISOString(),
+    announcements: items.map(a => ({
+      start: a.start,
+      end: a.end,
+      priority: a.priority || 0,
+      emergency: !!a.emergency,
+      html: a.emergency ? renderEmergency(a, p) : esc(a.text.trim())
+    }))
+  };
+}
+
+function renderEmergency(a, p){
+  const until = a.end && (q => esc(t(q, 'untilTime', { time: `${fmtDate(a.end, q)}, ${fmtTime(a.end, q)}` })));
+  return `<div class="em-label">⚠ ${bi(p, q => esc(t(q, 'emergency')))}</div>
+    <div class="em-title">${esc(a.text.trim())}</div>
+    ${a.detail ? `<div class="em-detail">${esc(stripHtml(a.detail))}</div>` : ''}
+    ${until ? `<div class="em-until">${bi(p, until)}</div>` : ''}`;
+}
+
+// ── Room signage (Now / Next) ──────────────────────────────────────
+const ROOM_MAX_EVENTS = 40;
+
+// Rooms with their upcoming (or in-progress) events, sorted by start.
+function roomsFor(p, events, now, until) {
+  if (!p.rooms) return [];
+  const live = events
+    .filter(e => e.start && e.location && new Date(e.end || e.start) > now && new Date(e.start) <= until)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+  const slugs = new Set();
+  return roomMatchers(p, live).map(r => {
+    let s = slug(r.name), n = 2;
+    while (slugs.has(s)) s = `${slug(r.name)}-${n++}`;
+    slugs.add(s);
+    return { name: r.name, slug: s, events: live.filter(e => r.test(e.location)).slice(0, ROOM_MAX_EVENTS) };
   });
-  const labels = Object.keys(groups).sort((a, b) => {
-    const aMin = groups[a].reduce((min, e) => Math.min(min, +new Date(e.start)), Infinity);
-    const bMin = groups[b].reduce((min, e) => Math.min(min, +new Date(e.start)), Infinity);
-    return aMin - bMin;
+}
+
+// { name, test(location) } for each room in the profile's list, or for
+// each distinct location among `events`.
+function roomMatchers(p, events) {
+  const norm = s => s.trim().replace(/\s+/g, ' ').toLowerCase();
+  return Array.isArray(p.rooms)
+    ? p.rooms.map(r => typeof r === 'string' ? { name: r } : r).map(r => {
+      const re = new RegExp(r.match || r.name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      return { name: r.name, test: loc => re.test(loc) };
+    })
+    : [...new Map(events.filter(e => e.location).map(e => [norm(e.location), e.location.trim().replace(/\s+/g, ' ')])).entries()]
+      .map(([key, name]) => ({ name, test: loc => norm(loc) === key }));
+}
+
+function roomData(p, room, now) {
+  return {
+    generated: now.toISOString(),
+    room: room.name,
+    events: room.events.map(e => ({
+      title: e.title, start: e.start, end: e.end || null, allDay: !!e.allDay,
+      when: fmtWhen(e, p), day: dayKey(e.start, p),
+      titleHtml: bi(p, q => esc(titleFor(e, q))),
+      whenHtml: bi(p, q => esc(fmtWhen(e, q))),
+      dayHtml: bi(p, q => esc(fmtDate(e.start, q)))
+    }))
+  };
+}
+
+// ── Conflicts (double bookings, bad times, missing rooms) ──────────
+// Checked on every build; see DEFAULTS.conflicts. All-day events block no
+// room and are only checked for their dates.
+const CONFLICT_LABELS = {
+  'double-booked':    'Double-booked',
+  'end-before-start': 'Ends before it starts',
+  'no-location':      'No location'
+};
+
+const PRIVATE_TITLE = 'Private booking';
+
+// CLASS:PRIVATE/CONFIDENTIAL events the profile hides, as a copy with only
+// their time, room and feed; others as they are.
+function redactPrivate(p, e) {
+  if (!p.hidePrivate || !/^(private|confidential)$/i.test(e.class || '')) return e;
+  return {
+    title: PRIVATE_TITLE, start: e.start, end: e.end, allDay: e.allDay,
+    location: e.location, source: e.source, sources: e.sources, class: e.class
+  };
+}
+
+// [{ type, room, start, end, events }] by start; for a double booking,
+// start and end are when the two overlap.
+function findConflicts(p, events, now, until) {
+  const ms = v => Date.parse(v);
+  const pending = events
+    .filter(e => e.start && ms(e.start) <= until && Math.max(ms(e.start), ms(e.end || e.start)) > now)
+    .sort((a, b) => ms(a.start) - ms(b.start));
+  const backwards = e => !!e.end && ms(e.end) < ms(e.start);
+  const problem = (type, events, room = null, start = events[0].start, end = events[0].end || null) => ({ type, room, start, end, events });
+  const problems = pending.filter(backwards).map(e => problem('end-before-start', [e]));
+  const timed = pending.filter(e => !e.allDay && !backwards(e));
+  timed.filter(e => !(e.location || '').trim()).forEach(e => problems.push(problem('no-location', [e])));
+  roomMatchers(p, timed).forEach(room => {
+    const booked = timed.filter(e => e.location && room.test(e.location));
+    booked.forEach((a, i) => {
+      const aEnd = ms(a.end || a.start);
+      for (const b of booked.slice(i + 1)) {
+        // Sorted by start: once one starts after `a` ends, the rest do too.
+        if (ms(b.start) >= aEnd && ms(b.start) !== ms(a.start)) break;
+        const end = new Date(Math.min(aEnd, ms(b.end || b.start))).toISOString();
+        problems.push(problem('double-booked', [a, b], room.name, b.start, end));
+      }
+    });
   });
+  return problems.sort((a, b) => ms(a.start) - ms(b.start));
+}
+
+function conflictsData(problems, now, until) {
+  const event = e => ({ uid: e.uid || '', title: e.title, start: e.start, end: e.end || null, location: e.location || '', feed: e.source || '' });
+  return {
+    version: 1,
+    generated: now.toISOString(),
+    until: until.toISOString(),
+    problems: problems.map(c => ({ ...c, events: c.events.map(event) }))
+  };
+}
+
+// The profile's layout with the rows of events that have a problem
+// outlined and explained, for the staff view.
+const CONFLICT_CSS = `
+.event[data-problem]{outline:3px solid var(--accent-red);outline-offset:.2rem;background:rgba(198,40,40,.08)}
+.problem{color:var(--accent-red);font-weight:800;font-size:clamp(.8rem,1.5vw,1rem);margin-top:.15rem}
+`;
+function conflictLayout(layout, problems) {
+  const marks = new Map();
+  problems.forEach(c => c.events.forEach(e => marks.set(e, (marks.get(e) || []).concat(c))));
+  const own = layout.partials && layout.partials.eventRow;
+  return {
+    ...layout,
+    css: (layout.css || '') + CONFLICT_CSS,
+    partials: {
+      ...layout.partials,
+      eventRow: (ctx, e, day) => {
+        const html = own ? own(ctx, e, day) : ctx.base.eventRow(e, day);
+        if (!marks.has(e)) return html;
+        const notes = marks.get(e).map(c => `<div class="problem">⚠ ${esc(conflictNote(c, e, ctx.p))}</div>`).join('');
+        // Keeps class="event" as it is: the page script tags live rows by it.
+        return html.replace('class="event"', 'class="event" data-problem').replace(/<\/div>\s*$/, notes + '</div>');
+      }
+    }
+  };
+}
 
-  const blocks = labels.map(label => {
-    const rows = groups[label].map(e => {
-      let when;
-      if (e.allDay) when = 'All day';
-      else if (!e.end || sameDay(e.start,e.end)) when = `${fmtTime(e.start)}${e.end ? '–' + fmtTime(e.end) : ''}`;
-      else when = `${fmtDate(e.start)} ${fmtTime(e.start)} → ${fmtDate(e.end)} ${fmtTime(e.end)}`;
-      return `<div class="event">
-                <div class="title">${esc(e.title)}</div>
-                <div class="meta">${esc(when)}${e.location ? ` • ${esc(e.location)}` : ''}</div>
-              </div>`;
-    }).join('');
-    return `<div class="day">
-              <div class="dayhead">${esc(label)}</div>
-              ${rows}
-            </div>`;
-  }).join('');
-
-  return `<!doctype html><html><head>
+function conflictNote(c, e, p) {
+  if (c.type !== 'double-booked') return CONFLICT_LABELS[c.type];
+  const other = c.events.find(x => x !== e);
+  return `Double-booked in ${c.room} with ${other.title} (${fmtDate(other.start, p)} · ${fmtWhen(other, p)})`;
+}
+
+function renderConflicts(p, report) {
+  const when = e => `${fmtDate(e.start, p)} · ${fmtWhen(e, p)}`;
+  const event = e => `<div><b>${esc(e.title)}</b> · ${esc(when(e))}${e.location ? ` · ${esc(e.location)}` : ''}${e.feed ? ` <span class="feed">${esc(e.feed)}</span>` : ''}</div>`;
+  const sections = Object.entries(CONFLICT_LABELS).map(([type, label]) => {
+    const list = report.problems.filter(c => c.type === type);
+    if (!list.length) return '';
+    return `<h2>${esc(label)} (${list.length})</h2>
+<table>${list.map(c => `<tr><td class="when">${esc(c.room ? `${c.room}, ${when(c)}` : fmtDate(c.start, p))}</td><td>${c.events.map(event).join('')}</td></tr>`).join('\n')}</table>`;
+  }).join('\n');
+  return `<!doctype html><html lang="${esc(p.locale)}"><head>
 <meta charset="utf-8">
 <meta name="viewport" content="width=device-width,initial-scale=1">
-<title>${BRAND}</title>
-<style>
-:root{
-  --banner-bg:${COLORS.bannerBg};
-  --banner-fg:${COLORS.bannerFg};
-  --accent-red:${COLORS.stripRed};
-  --panel-bg:${COLORS.panelBg};
-  --panel-fg:${COLORS.panelFg};
-  --rule:${COLORS.rule};
-  --scroll-ms:${SCROLL_MS}ms;
-}
-html,body{height:100%}
-body{
-  margin:0;background:transparent;color:var(--panel-fg);
-  font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif;
-}
-.wrap{display:flex;flex-direction:column;width:100%;height:100%;box-sizing:border-box}
-
-/* Top banner (grayish blue with white) */
-.bar{
-  display:flex;align-items:center;justify-content:space-between;
-  padding:.6rem 1rem;background:var(--banner-bg);color:var(--banner-fg)
-}
-.brand{font-weight:800;font-size:clamp(1.1rem,2.2vw,2rem);letter-spacing:.02em}
-.right{display:flex;align-items:center;gap:14px}
-.clock{font-weight:700;font-variant-numeric:tabular-nums;font-size:clamp(.95rem,1.8vw,1.4rem)}
-
-/* Weather badge */
-.weather{display:flex;align-items:center;gap:10px;font-size:14px;color:rgba(255,255,255,.85)}
-.weather .w-icon{font-size:18px;line-height:1}
-.weather .w-temp{color:#fff;font-weight:800;font-size:16px}
-.badge{font-size:12px;background:rgba(255,255,255,.15);padding:4px 8px;border-radius:999px;color:#fff}
-
-/* Panel (white) with red header */
-.panel{
-  display:flex;flex-direction:column;background:var(--panel-bg);color:var(--panel-fg);
-  border-left:1px solid var(--rule);border-right:1px solid var(--rule);border-bottom:1px solid var(--rule);
-  height:100%;box-sizing:border-box
-}
-.panel-header{background:var(--accent-red);color:#fff;padding:.5rem .9rem;font-weight:800;font-size:clamp(1rem,2vw,1.4rem)}
-
-/* Scroller */
-.vwrap{position:relative;overflow:hidden;height:100%}
-.vcontent{position:absolute;width:100%;animation:vscroll var(--scroll-ms) linear infinite}
-@keyframes vscroll{0%{transform:translateY(0)}98%{transform:translateY(-50%)}100%{transform:translateY(0)}}
-
-/* Events */
-.day{padding:.7rem 1rem .8rem;border-bottom:1px solid var(--rule)}
-.dayhead{font-weight:800;opacity:.9;margin:0 0 .35rem;font-size:clamp(.95rem,1.8vw,1.2rem)}
-.event{padding:.35rem 0}
-.title{font-size:clamp(.95rem,1.9vw,1.25rem);line-height:1.35}
-.meta{opacity:.85;font-size:clamp(.85rem,1.6vw,1.05rem);margin-top:.15rem}
+<title>Scheduling problems · ${esc(p.brand)}</title>
+${fontLink(p)}<style>
+${themeCss(p)}body{margin:0 auto;max-width:60rem;padding:1.5rem;background:var(--panel-bg);color:var(--panel-fg);line-height:1.4}
+h1{margin:0 0 .3rem;font-size:1.6rem}
+h2{margin:1.6rem 0 .5rem;font-size:1.2rem;color:var(--accent-red)}
+.checked{opacity:.75}
+table{width:100%;border-collapse:collapse}
+td{padding:.5rem .4rem;border-top:1px solid var(--rule);vertical-align:top}
+td.when{width:16rem;font-weight:700}
+.feed{font-size:.8em;opacity:.7}
 </style>
 </head>
 <body>
-<div class="wrap">
-  <div class="bar">
-    <div class="brand">${BRAND}</div>
-    <div class="right">
-      <div class="weather" id="weather" aria-label="Current weather for ${WX.place}">
-        <span class="w-icon">⛅</span>
-        <span class="w-temp" id="wTemp">--°</span>
-        <span id="wCond">Loading…</span>
-        <span class="badge" id="wHiLo">H --° / L --°</span>
-        <span class="badge">${WX.place}</span>
-      </div>
-      <div class="clock" id="clock"></div>
-    </div>
-  </div>
-  <div class="panel">
-    <div class="panel-header">Upcoming Events</div>
-    <div class="vwrap">
-      <div class="vcontent">
-        ${blocks || '<div class="day"><div class="dayhead">No events</div></div>'}
-        ${blocks}
-      </div>
-    </div>
-  </div>
-</div>
-<script>
-// Force ET for clock
-function tick(){
-  const d=new Date();
-  const f=new Intl.DateTimeFormat('en-US',{
-    timeZone:'${TIMEZONE}',
-    weekday:'long',month:'long',day:'numeric',hour:'numeric',minute:'2-digit'
-  }).format(d);
-  document.getElementById('clock').textContent=f+' ET';
-}
-setInterval(tick,1000); tick();
-
-// 🔽 Auto-tune scroll speed by content height
-(function autoSpeed(){
-  const root=document.documentElement;
-  const content=document.querySelector('.vcontent');
-  const viewport=document.querySelector('.vwrap');
-  if(!content||!viewport)return;
-  const oneListHeight=content.scrollHeight/2;
-  const pxPerSec=45; // raise = faster (e.g., 60); lower = slower
-  const durationMs=Math.max(30000,Math.round((oneListHeight/pxPerSec)*1000));
-  root.style.setProperty('--scroll-ms',durationMs+'ms');
-})();
-
-// --- Weather (Open-Meteo) ---
-const WX = {
-  lat: ${WX.lat}, lon: ${WX.lon}, place: ${JSON.stringify(WX.place)},
-  url() {
-    const base='https://api.open-meteo.com/v1/forecast';
-    const p=new URLSearchParams({
-      latitude: WX.lat, longitude: WX.lon,
+<h1>${esc(p.brand)}: scheduling problems</h1>
+<p class="checked">Checked ${esc(`${fmtDate(report.generated, p)}, ${fmtTime(report.generated, p)}`)}, for events through ${esc(fmtDate(report.until, p))}.</p>
+${sections || '<p>No problems found.</p>'}
+</body></html>
+`;
+}
+
+// ── Weather (build time) ───────────────────────────────────────────
+// A provider turns the profile's `weather` settings into
+//   { current: { temp, code }, daily: [{ date, hi, lo, code }], alerts: [{ event, severity, until }] }
+// with temperatures already in `units` and WMO weather codes.
+const WEATHER_PROVIDERS = {
+  'open-meteo': async w => {
+    const params = new URLSearchParams({
+      latitude: w.lat, longitude: w.lon,
       current_weather: 'true',
       daily: 'temperature_2m_max,temperature_2m_min,weathercode',
-      temperature_unit: 'fahrenheit',
-      wind_speed_unit: 'mph',
+      temperature_unit: w.units === 'C' ? 'celsius' : 'fahrenheit',
       timezone: 'auto',
-      forecast_days: '1'
+      forecast_days: String(Math.max(1, w.forecastDays))
     });
-    return base+'?'+p.toString();
-  },
-  emoji(code){
-    if ([0].includes(code)) return '☀️';
-    if ([1,2].includes(code)) return '⛅';
-    if ([3].includes(code)) return '☁️';
-    if ([45,48].includes(code)) return '🌫️';
-    if ([51,53,55].includes(code)) return '🌦️';
-    if ([61,63,65].includes(code)) return '🌧️';
-    if ([66,67].includes(code)) return '🌧️❄️';
-    if ([71,73,75,77].includes(code)) return '❄️';
-    if ([80,81,82].includes(code)) return '🌧️';
-    if ([85,86].includes(code)) return '🌨️';
-    if ([95,96,99].includes(code)) return '⛈️';
-    return '🌡️';
+    const j = JSON.parse(await fetchText('https://api.open-meteo.com/v1/forecast?' + params));
+    return {
+      current: { temp: j.current_weather.temperature, code: j.current_weather.weathercode },
+      daily: j.daily.time.map((date, i) => ({
+        date, hi: j.daily.temperature_2m_max[i], lo: j.daily.temperature_2m_min[i], code: j.daily.weathercode[i]
+      })),
+      alerts: w.alerts ? await nwsAlerts(w) : []
+    };
   },
-  label(code){
-    const map={0:'Clear',1:'Mostly Sunny',2:'Partly Cloudy',3:'Cloudy',45:'Fog',48:'Freezing Fog',51:'Light Drizzle',53:'Drizzle',55:'Heavy Drizzle',61:'Light Rain',63:'Rain',65:'Heavy Rain',66:'Freezing Rain',67:'Freezing Rain',71:'Light Snow',73:'Snow',75:'Heavy Snow',77:'Snow Grains',80:'Rain Showers',81:'Rain Showers',82:'Heavy Showers',85:'Snow Showers',86:'Snow Showers',95:'Thunderstorms',96:'T’storms',99:'T’storms'};
-    return map[code] || '—';
+  // Offline stand-in for previews and tests: canned data, or WEATHER_STUB_FILE.
+  stub: async (w, now) => {
+    if (fs.existsSync(WEATHER_STUB_FILE)) return JSON.parse(fs.readFileSync(WEATHER_STUB_FILE, 'utf8'));
+    const date = i => new Date(now.getTime() + i * 86400000).toISOString().slice(0, 10);
+    return {
+      current: { temp: w.units === 'C' ? 18 : 64, code: 2 },
+      daily: [0, 1, 2, 3, 4].map(i => ({ date: date(i), hi: w.units === 'C' ? 21 : 70, lo: w.units === 'C' ? 9 : 48, code: i % 2 ? 3 : 1 })),
+      alerts: []
+    };
   }
 };
 
-async function loadWeather(){
-  try{
-    const r = await fetch(WX.url(), { cache: 'no-store' });
-    const j = await r.json();
-    const cur = j.current_weather;
-    const hi = j?.daily?.temperature_2m_max?.[0];
-    const lo = j?.daily?.temperature_2m_min?.[0];
-    document.getElementById('wTemp').textContent = Math.round(cur.temperature)+'°';
-    document.getElementById('wCond').textContent = WX.label(cur.weathercode);
-    document.querySelector('#weather .w-icon').textContent = WX.emoji(cur.weathercode);
-    document.getElementById('wHiLo').textContent = 'H '+Math.round(hi)+'° / L '+Math.round(lo)+'°';
-  }catch(e){
-    document.getElementById('wCond').textContent = 'Weather unavailable';
+// Severe and extreme alerts only; advisories stay off the signage. Alerts are
+// optional: when weather.gov is down (or the site is outside the US) the
+// forecast still goes out, just without a banner.
+async function nwsAlerts(w) {
+  const url = `https://api.weather.gov/alerts/active?point=${w.lat.toFixed(4)},${w.lon.toFixed(4)}`;
+  let j;
+  try { j = JSON.parse(await fetchText(url, { 'User-Agent': 'atrium-calendar', Accept: 'application/geo+json' })); }
+  catch (err) { console.warn(`Weather alerts for ${w.place} unavailable (${err.message})`); return []; }
+  return (j.features || [])
+    .map(f => f.properties)
+    .filter(a => ['Severe', 'Extreme'].includes(a.severity))
+    .map(a => ({ event: a.event, severity: a.severity, until: a.ends || a.expires || null }));
+}
+
+function weatherKey(w) {
+  return [w.provider, w.lat, w.lon, w.units, w.forecastDays, w.alerts].join('|');
+}
+
+// Resolves to the provider's forecast plus `asOf`, falling back to the last
+// good copy (up to WEATHER_MAX_AGE_MS old), or null when there is none.
+async function loadWeather(w, now) {
+  const file = path.join(WEATHER_CACHE_DIR, crypto.createHash('sha1').update(weatherKey(w)).digest('hex') + '.json');
+  try {
+    const forecast = { ...await WEATHER_PROVIDERS[w.provider](w, now), asOf: new Date().toISOString() };
+    writeOutput(file, JSON.stringify(forecast));
+    return forecast;
+  } catch (err) {
+    // An unreadable copy (say, cut short by an interrupted run) counts as none.
+    const cached = readJson(file);
+    const usable = cached && now - new Date(cached.asOf) < WEATHER_MAX_AGE_MS;
+    console.warn(`Weather for ${w.place} unavailable (${err.message})${usable ? `; using copy from ${cached.asOf}` : ''}`);
+    return usable ? cached : null;
+  }
+}
+
+// ── Exports (JSON API, ICS, RSS, digest) ───────────────────────────
+// Each takes (profile, events, now) and returns the file contents. The
+// events are the page's list (filters, de-duplication and maxItems applied)
+// with featured ones included and flagged.
+const EXPORTERS = {
+  json:   renderJsonApi,
+  ics:    renderICS,
+  rss:    renderRSS,
+  digest: renderDigest
+};
+
+function eventId(e) {
+  return (e.uid || slug(e.title)) + '@' + e.start;
+}
+
+// Schema documented in the README ("calendar.json").
+function renderJsonApi(p, events, now) {
+  return JSON.stringify({
+    version: 1,
+    generated: now.toISOString(),
+    calendar: { name: p.brand, timezone: p.timezone, url: p.siteUrl || null },
+    events: events.map(e => ({
+      id:          eventId(e),
+      uid:         e.uid || null,
+      title:       e.title,
+      start:       e.start,
+      end:         e.end || null,
+      allDay:      !!e.allDay,
+      location:    e.location || '',
+      description: e.description || '',
+      categories:  e.categories || [],
+      status:      e.status || '',
+      url:         e.url || '',
+      image:       e.image || '',
+      source:      e.source || '',
+      sources:     (e.sources || []).map(s => s.name),
+      featured:    !!e.featured
+    }))
+  }, null, 2) + '\n';
+}
+
+function icsEscape(s) {
+  return String(s || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Folds a content line at 75 octets (RFC 5545 §3.1) without splitting a
+// UTF-8 character.
+function icsFold(line) {
+  const out = [];
+  let cur = '', bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; bytes = 0; }
+    cur += ch; bytes += n;
   }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+function icsUtc(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Calendar date of an instant in the profile's zone, as YYYYMMDD.
+function icsDate(iso, p) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: p.timezone, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(new Date(iso)).map(x => [x.type, x.value]));
+  return parts.year + parts.month + parts.day;
+}
+
+function renderICS(p, events, now) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//atrium-calendar-feed//build.js//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:' + icsEscape(p.brand),
+    'X-WR-TIMEZONE:' + p.timezone
+  ];
+  events.forEach(e => {
+    // Expanded recurrences share a UID upstream; each instance needs its own.
+    lines.push('BEGIN:VEVENT', 'UID:' + icsEscape(e.recurrenceId ? `${e.uid}-${icsUtc(e.start)}` : (e.uid || eventId(e))),
+      'DTSTAMP:' + icsUtc(now.toISOString()));
+    if (e.allDay) {
+      lines.push('DTSTART;VALUE=DATE:' + icsDate(e.start, p));
+      if (e.end) lines.push('DTEND;VALUE=DATE:' + icsDate(e.end, p));
+    } else {
+      lines.push('DTSTART:' + icsUtc(e.start));
+      if (e.end) lines.push('DTEND:' + icsUtc(e.end));
+    }
+    lines.push('SUMMARY:' + icsEscape(e.title));
+    if (e.location) lines.push('LOCATION:' + icsEscape(e.location));
+    if (e.description) lines.push('DESCRIPTION:' + icsEscape(e.description));
+    if (e.categories && e.categories.length) lines.push('CATEGORIES:' + e.categories.map(icsEscape).join(','));
+    if (e.status) lines.push('STATUS:' + e.status);
+    if (e.url) lines.push('URL:' + e.url);
+    (e.attach || []).forEach(a => lines.push('ATTACH' + (a.type ? ';FMTTYPE=' + a.type : '') + ':' + a.url));
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+function xmlEsc(s) {
+  return String(s || '').replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[m]));
+}
+
+// RSS 2.0, one item per event; pubDate is the event start so feed readers
+// and RSS-to-email tools list events in date order.
+function renderRSS(p, events, now) {
+  const link = p.siteUrl || '';
+  const items = events.map(e => {
+    const summary = [fmtDate(e.start, p) + ' · ' + fmtWhen(e, p), e.location, stripHtml(e.description)]
+      .filter(Boolean).join('\n');
+    return `    <item>
+      <title>${xmlEsc(e.title)}</title>
+      <link>${xmlEsc(e.url || link)}</link>
+      <guid isPermaLink="false">${xmlEsc(eventId(e))}</guid>
+      <pubDate>${new Date(e.start).toUTCString()}</pubDate>
+      <description>${xmlEsc(summary)}</description>${(e.categories || []).map(c => `
+      <category>${xmlEsc(c)}</category>`).join('')}
+    </item>`;
+  }).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xmlEsc(p.brand)}</title>
+    <link>${xmlEsc(link)}</link>
+    <description>${xmlEsc(p.brand)} — upcoming events</description>${link ? `
+    <atom:link href="${xmlEsc(link.replace(/\/?$/, '/') + siblingPath(path.basename(p.output), p.exports.rss))}" rel="self" type="application/rss+xml"/>` : ''}
+    <lastBuildDate>${now.toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
 }
-loadWeather();
-setInterval(loadWeather, 15*60*1000);
-</script>
-</body></html>`;
+
+// Markdown digest of the next seven days, for newsletters and email.
+function renderDigest(p, events, now) {
+  const weekEnd = now.getTime() + 7 * 86400000;
+  const week = events.filter(e => new Date(e.start).getTime() < weekEnd);
+  const lines = [`# ${p.brand}`, '', `_${fmtDate(now, p)} – ${fmtDate(weekEnd - 86400000, p)} · ${t(p, 'updated', { time: fmtTime(now, p) })}_`, ''];
+  let day = null;
+  week.forEach(e => {
+    const label = fmtDate(Math.max(Date.parse(e.start), now.getTime()), p);
+    if (label !== day) { if (day) lines.push(''); lines.push(`## ${label}`, ''); day = label; }
+    const bits = [fmtWhen(e, p), e.location].filter(Boolean).join(' · ');
+    const title = e.url ? `[${mdEsc(titleFor(e, p))}](${mdUrl(e.url)})` : mdEsc(titleFor(e, p));
+    lines.push(`- **${title}**${e.featured ? ' ★' : ''} — ${mdEsc(bits)}`);
+  });
+  if (!week.length) lines.push(t(p, 'noEventsWeek'));
+  return lines.join('\n').replace(/\n*$/, '\n');
+}
+
+function mdEsc(s) { return String(s || '').replace(/([\\`*_[\]<>])/g, '\\$1'); }
+// Parentheses and whitespace would end a Markdown link target early.
+function mdUrl(s) { return String(s || '').replace(/\s/g, encodeURIComponent).replace(/\(/g, '%28').replace(/\)/g, '%29'); }
+function slug(s) { return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event'; }
+
+// ── Change tracking (snapshot, changelog) ──────────────────────────
+// snapshot.json holds the events in the window keyed by UID (plus the
+// original start of a recurring instance), a fingerprint of the pages and
+// the recent changes. Events that simply ended, or just came into the
+// window, are not changes.
+const SNAPSHOT_FILE = 'snapshot.json';
+// Build times in the files, which change on every run without anything
+// else changing: JSON "generated"/"asOf" (and the report's "until"), the
+// page clock's --now offset, ICS DTSTAMP, the RSS build date, the digest's
+// "updated" line and the report's "Checked" line. Those last two also name
+// the day, which the fingerprint covers instead.
+const VOLATILE_FIELDS = [
+  /"(generated|asOf)": ?"[^"]*"/g,
+  /"until": ?"[^"]*"(?=,\s*"problems")/g,
+  /NOW_OFFSET=-?\d+/g,
+  /^DTSTAMP:[^\r\n]*/gm,
+  /<lastBuildDate>[^<]*<\/lastBuildDate>/g,
+  /^_[^\n]*_$/m,
+  /<p class="checked">[^\n]*<\/p>/g
+];
+
+function changeKey(e) {
+  if (!e.uid) return slug(e.title) + '@' + e.start;
+  const instance = e.originalStart || e.recurrenceId;
+  return instance ? e.uid + '@' + instance : e.uid;
+}
+
+// Hash of everything written but the changelog and snapshot, leaving out
+// the build times above, plus the day.
+function pageFingerprint(files, day) {
+  const hash = crypto.createHash('sha1').update(day + '\0');
+  files.forEach(([file, contents]) => hash.update(file + '\0' + VOLATILE_FIELDS.reduce((s, re) => s.replace(re, ''), contents) + '\0'));
+  return hash.digest('hex');
+}
+
+function takeSnapshot(events, now, until, fingerprint) {
+  const entries = {};
+  events.forEach(e => {
+    entries[changeKey(e)] = { title: e.title, start: e.start, end: e.end || null, allDay: !!e.allDay, location: e.location || '' };
+  });
+  return { version: 1, generated: now.toISOString(), until: until.toISOString(), fingerprint, events: entries };
+}
+
+function readJson(file) {
+  try { return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null; }
+  catch { return null; }
+}
+
+// [{ type, id, title, before, after }], before/after being snapshot entries
+// (null for an added or removed event). `cancelled` holds the keys of
+// events the feeds now mark STATUS:CANCELLED.
+function diffSnapshots(prev, next, cancelled) {
+  if (!prev || !prev.events) return [];
+  const now = Date.parse(next.generated), prevUntil = Date.parse(prev.until);
+  const changes = [];
+  const change = (type, id, before, after) => changes.push({ type, id, title: (after || before).title, before, after });
+  Object.entries(next.events).forEach(([id, after]) => {
+    const before = prev.events[id];
+    if (!before) {
+      if (Date.parse(after.start) <= prevUntil) change('added', id, null, after);
+      return;
+    }
+    if (before.start !== after.start || before.end !== after.end || before.allDay !== after.allDay) change('rescheduled', id, before, after);
+    if (before.location !== after.location) change('relocated', id, before, after);
+    if (before.title !== after.title) change('renamed', id, before, after);
+  });
+  Object.entries(prev.events).forEach(([id, before]) => {
+    if (next.events[id] || Date.parse(before.end || before.start) <= now) return;
+    change(cancelled.has(id) ? 'cancelled' : 'removed', id, before, null);
+  });
+  return changes;
+}
+
+// changes.json and changes.md from the snapshot's log (newest first),
+// written when something changed or the file is missing.
+function changelogFiles(p, log, changed, outDir) {
+  const out = [];
+  const add = (name, render) => {
+    const file = name && siblingPath(p.output, name);
+    if (file && (changed || !fs.existsSync(path.join(outDir, file)))) out.push([file, render()]);
+  };
+  add(p.changes.json, () => JSON.stringify({ version: 1, calendar: p.brand, changes: log }, null, 2) + '\n');
+  add(p.changes.markdown, () => renderChangelog(p, log));
+  return out;
+}
+
+function renderChangelog(p, log) {
+  const lines = [`# ${p.brand}: schedule changes`, ''];
+  let at = null;
+  log.forEach(c => {
+    if (c.at !== at) { if (at) lines.push(''); lines.push(`## ${fmtDate(c.at, p)}, ${fmtTime(c.at, p)}`, ''); at = c.at; }
+    lines.push('- ' + changeLine(c, p));
+  });
+  if (!log.length) lines.push('No changes yet.');
+  return lines.join('\n') + '\n';
+}
+
+function changeLine(c, p) {
+  const when = e => mdEsc(`${fmtDate(e.start, p)} · ${fmtWhen(e, p)}`);
+  const title = `**${mdEsc(c.title)}**`;
+  switch (c.type) {
+    case 'added':       return `Added ${title}: ${when(c.after)}${c.after.location ? ` • ${mdEsc(c.after.location)}` : ''}`;
+    case 'removed':     return `Removed ${title}: ${when(c.before)}`;
+    case 'cancelled':   return `Cancelled ${title}: ${when(c.before)}`;
+    case 'rescheduled': return `Rescheduled ${title}: ${when(c.before)} → ${when(c.after)}`;
+    case 'relocated':   return `Relocated ${title}: ${mdEsc(c.before.location || 'no location')} → ${mdEsc(c.after.location || 'no location')}`;
+    case 'renamed':     return `Renamed **${mdEsc(c.before.title)}** → ${title}`;
+    default:            return `${c.type} ${title}`;
+  }
 }
@@ -0,0 +1,1937 @@
+// The calendar core: ICS parsing (time zones, recurrence), filters,
+// formatting and the HTML pages, with no fetching or file writing. build.js
+// is the command-line build around it; other tools can import it too:
+//
+//   import { parseICS, expandEvents, filterEvents, profileFilters, groupByDay, render } from './calendar.js';
+//   const events = expandEvents(parseICS(text, { timezone: 'America/New_York' }), { from, until });
+//   const html = render(profile, filterEvents(events, profileFilters(profile)));
+//
+// The functions with JSDoc below are the API. The list at the bottom of
+// the file is shared with build.js and may change with it.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { qrSvg } from './qr.js';
+import standardLayout from './layouts/standard.js';
+
+// ── Defaults (override per profile in atrium.config.json) ───────────
+export const DEFAULTS = {
+  output:     'index.html',
+  brand:      'This Week at VUMC',
+  timezone:   'America/New_York',
+  daysAhead:  45,
+
+  // Language and formats (BCP 47 locale, e.g. 'es-US'); hour24 switches the
+  // clock and event times to 24-hour. Fixed strings come from STRINGS, with
+  // `translations` ({ "es": { "upcoming": "..." } }) overriding or adding.
+  // `bilingual: { locale: 'es-US', mode: 'stack' | 'alternate', switchMs }`
+  // shows a second language under (or in turn with) the first.
+  locale:       'en-US',
+  hour24:       false,
+  bilingual:    false,
+  translations: {},
+  maxItems:   120,
+  scrollMs:   90000, // 1.5 minutes per loop base; auto-tuned in the page
+  refreshMs:  60000, // how often the open page re-reads its events.json
+
+  // "scroll" loops the list continuously; "pages" shows screen-sized pages
+  // in turn (split at day boundaries when possible) with a "2 / 5" indicator.
+  mode:           'scroll',
+  pageDwellMs:    10000,
+  pageTransition: 'fade',  // or 'slide'
+  featuredMax: 3,
+
+  // Event details (trimmed description, ATTACH image, QR code of the event
+  // URL): "spotlight" expands one event at a time above the list for
+  // spotlightMs, "rows" shows them in every row, false turns them off.
+  details:     'spotlight',
+  spotlightMs: 15000,
+
+  // Screen schedule. `hours` says when the screen is in use, per weekday in
+  // the profile's zone: { "mon-fri": "07:00-21:00", "sat": ["08:00-12:00"],
+  // "sun": { "hours": "08:00-13:00", "offHours": "blank" } }; days not listed
+  // are off all day, and false means always on. Outside those hours the page
+  // is dimmed ("dim"), shows only the time ("clock") or goes black ("blank").
+  // Against burn-in the picture moves a few pixels every pixelShiftMs and
+  // the banner swaps sides every layoutShiftMs (0 turns either off).
+  display: {
+    hours:         false,
+    offHours:      'dim',
+    pixelShiftMs:  180000,
+    layoutShiftMs: 3600000
+  },
+
+  // Announcements crawl along the bottom of the page; "emergency" ones take
+  // over the whole screen until they end. Read from `file` (JSON or YAML,
+  // see readAnnouncements in build.js) and/or an ICS calendar (`env`
+  // secret or `url`). Open pages re-read their notices.json every pollMs.
+  announcements: {
+    file:   'announcements.json',
+    env:    'ANNOUNCEMENTS_ICS_URL',
+    pollMs: 20000
+  },
+
+  colors: {
+    bannerBg:  '#3b556e',
+    bannerFg:  '#ffffff',
+    stripRed:  '#c62828',
+    panelBg:   '#ffffff',
+    panelFg:   '#000000',
+    rule:      '#e5e7eb'
+  },
+
+  // Look of the page. `layout` is a built-in one (standard, portrait,
+  // lower-third, sidebar; see layouts/) or the path of your own layout
+  // module. The theme is `colors` above plus `fonts` (CSS font stacks;
+  // `url` loads a stylesheet such as Google Fonts), `logo` (an https://
+  // image, or an image file that is inlined into the page) and `sizes`
+  // (`text` scales all type, `logo` is the logo's height).
+  layout: 'standard',
+  fonts: {
+    body:    'system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif',
+    heading: '',  // same as body
+    url:     ''
+  },
+  logo:  '',
+  sizes: {
+    text: 1,
+    logo: '2.4rem'
+  },
+
+  // Weather (Versailles, KY), fetched at build time. `forecastDays` is 3–5
+  // (0 hides the strip); `alerts` shows active severe weather warnings from
+  // the National Weather Service (US locations only) in the panel header.
+  weather: {
+    lat: 38.052,
+    lon: -84.729,
+    place: 'Versailles, KY',
+    provider: 'open-meteo',
+    units: 'F',
+    forecastDays: 3,
+    alerts: true
+  },
+
+  // Feeds: `env` names the repository secret holding the https://... .ics link
+  // (or set `url` directly). Feeds whose secret is unset are skipped. When the
+  // same event is in several feeds, the higher `priority` feed's copy is kept.
+  feeds: [
+    { name: 'Campus',      env: 'ICS_URL',             color: '#3b556e', priority: 10 },
+    { name: 'Departments', env: 'ICS_URL_DEPARTMENTS', color: '#6a1b9a', priority: 5 },
+    { name: 'Facilities',  env: 'ICS_URL_FACILITIES',  color: '#2e7d32', priority: 0 }
+  ],
+
+  // Extra files generated from the same events, next to the page (see
+  // siblingPath). Set one to false to skip it. `siteUrl` is the public
+  // address of the page, used for links in the RSS feed.
+  // Room signage: false, "auto" (one Now/Next page per distinct LOCATION) or
+  // a list of rooms, each a name matched against LOCATION or
+  // { "name": ..., "match": "<regular expression>" }. Pages go to rooms/
+  // (lobby.rooms/ for a profile writing lobby.html).
+  rooms: false,
+
+  exports: {
+    json:   'calendar.json',
+    ics:    'events.ics',
+    rss:    'feed.xml',
+    digest: 'digest.md'
+  },
+  siteUrl: '',
+
+  // Change tracking: each build compares its events with the snapshot.json
+  // the previous build left next to the page and logs what was added,
+  // removed, cancelled, rescheduled, relocated or renamed (latest `keep`
+  // entries) to these files. When nothing on the page, in its exports or
+  // in the reports changed, the build writes nothing.
+  changes: {
+    json:     'changes.json',
+    markdown: 'changes.md',
+    keep:     200
+  },
+
+  // Scheduling problems among the feeds' events that are not over yet (all
+  // of them except cancelled ones, whatever `filters` hides from the page):
+  // two timed events in the same room at overlapping times (rooms as in
+  // `rooms` when that is a list, else each distinct LOCATION), an end before
+  // the start, a timed event without a location. Reported in `json` and
+  // `html` next to the page; `staff` names an extra copy of the page with
+  // those rows marked, for the office (false: none).
+  conflicts: {
+    json:  'conflicts.json',
+    html:  'conflicts.html',
+    staff: false
+  },
+
+  // Ordered include/exclude rules (see filterEvents). Cancelled events and
+  // CLASS:PRIVATE/CONFIDENTIAL ones are hidden after these, whatever they
+  // say, unless hideCancelled/hidePrivate is turned off.
+  filters:       [],
+  hideCancelled: true,
+  hidePrivate:   true
+};
+
+// ── Public API ─────────────────────────────────────────────────────
+/**
+ * One event, or one instance of a recurring one. Times are ISO 8601 UTC.
+ * @typedef {object} CalendarEvent
+ * @property {string} uid
+ * @property {string} title          SUMMARY ("Untitled" when empty)
+ * @property {string} location
+ * @property {string} description
+ * @property {string[]} categories
+ * @property {string} status         upper case, e.g. "CANCELLED" ("" when unset)
+ * @property {number} priority       PRIORITY (0 when unset)
+ * @property {string} class          upper case, e.g. "PRIVATE"
+ * @property {string} url
+ * @property {{ url: string, type: string }[]} attach  linked attachments
+ * @property {string} image          the first image attachment's URL, or ""
+ * @property {boolean} allDay
+ * @property {string} start
+ * @property {string|null} end       exclusive; null when the event has none
+ * @property {string} [recurrenceId]   an instance of a recurring event: its start
+ * @property {string} [originalStart]  an override (RECURRENCE-ID): the start it replaces
+ * @property {object} [recurrence]     a recurring event before expandEvents
+ * @property {string} [source]         feed name (set when feeds are merged)
+ */
+
+/**
+ * @typedef {object} Range
+ * @property {Date} [from]   default: now
+ * @property {Date} [until]  default: DEFAULTS.daysAhead days from now
+ */
+
+/**
+ * A display profile: any keys of DEFAULTS, as in atrium.config.json.
+ * @typedef {Partial<typeof DEFAULTS>} Profile
+ */
+
+/**
+ * DEFAULTS with each layer merged over it in turn (objects merge, lists
+ * replace), the way the config file's "defaults" and profiles combine.
+ * @param {...Profile} layers
+ * @returns {typeof DEFAULTS}
+ */
+export function withDefaults(...layers) {
+  const p = layers.reduce((base, over) => mergeConfig(base, over || {}), DEFAULTS);
+  return { ...p, bilingual: p.bilingual && { mode: 'stack', switchMs: 8000, ...p.bilingual } };
+}
+
+/**
+ * Events by local day in the profile's time zone, in date order. An event
+ * covering several days is listed under each of them.
+ * @param {CalendarEvent[]} events
+ * @param {Profile} [profile]  `timezone`, and `locale` for the labels
+ * @returns {{ date: string, label: string, events: CalendarEvent[] }[]}  date as YYYY-MM-DD
+ */
+export function groupByDay(events, profile = {}) {
+  const p = withDefaults(profile);
+  const days = new Map();
+  events.forEach(e => {
+    const covered = e.end ? eventDays(e, p) : [];
+    (covered.length ? covered.map(d => d.start) : [e.start]).forEach(start => {
+      const date = dayKey(start, p);
+      if (!days.has(date)) days.set(date, { date, label: fmtDate(start, p), events: [] });
+      days.get(date).events.push(e);
+    });
+  });
+  return [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(d => ({ ...d, events: d.events.sort((a, b) => Date.parse(a.start) - Date.parse(b.start)) }));
+}
+
+/**
+ * The display page for a profile: the events not over yet that start
+ * within its `daysAhead` (at most `maxItems`), in its layout and theme.
+ * Pass events already expanded and filtered. The page keeps itself
+ * current from the events.json and notices.json next to it (see build.js).
+ * @param {Profile} profile
+ * @param {CalendarEvent[]} events
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {object} [options.layout]  a layout (see loadLayout); default "standard"
+ * @param {CalendarEvent[]} [options.featured]  pinned above the list
+ * @param {object} [options.weather]  a forecast as build.js loads it
+ * @param {object} [options.notices]  announcements as in notices.json
+ * @returns {string} HTML
+ */
+export function render(profile, events, { now = new Date(), layout = standardLayout, featured = [], weather = null, notices = null } = {}) {
+  const p = withDefaults(profile);
+  const listed = upcoming(events, p, now).slice(0, p.maxItems).filter(e => !featured.some(f => sameEvent(f, e)));
+  const data = pageData(p, listed, featured, now, null, weather, layout);
+  return renderHtml(p, data, notices || { generated: now.toISOString(), announcements: [] }, layout);
+}
+
+// Not over yet and starting within daysAhead, by start. Started but not
+// yet ended still counts: a retreat stays up until it is over.
+function upcoming(events, p, now) {
+  const until = now.getTime() + p.daysAhead * DAY_MS;
+  return events
+    .filter(e => e.start && new Date(e.end || e.start) > now && Date.parse(e.start) <= until)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+function isPlainObject(v) { return v !== null && typeof v === 'object' && !Array.isArray(v); }
+
+function mergeConfig(base, over) {
+  const out = { ...base };
+  Object.entries(over).forEach(([k, v]) => {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? mergeConfig(base[k], v) : v;
+  });
+  return out;
+}
+
+// ── Filters ────────────────────────────────────────────────────────
+// Rules run in order and the last one that matches decides. A list that
+// starts with an "include" rule shows only what some include rule matches.
+//
+// Matchers: every field given must match (case-insensitive regex; a list
+// means any of them). "category" matches if any CATEGORIES entry does;
+// "feed" is the source feed name. Combine with "all", "any" and "not":
+//   { "exclude": { "any": [ { "category": "staff" }, { "title": "^private" } ] } }
+//   { "exclude": { "location": "chapel", "not": { "category": "worship" } } }
+/**
+ * The events the rules keep (see above); no rules keep everything.
+ * @param {CalendarEvent[]} events
+ * @param {({ include: object } | { exclude: object })[]} rules
+ * @returns {CalendarEvent[]}
+ */
+export function filterEvents(events, rules) {
+  if (!rules || !rules.length) return events;
+  const compiled = rules.map(r => {
+    const action = r.include ? 'include' : 'exclude';
+    return { action, test: compileMatcher(r[action]) };
+  });
+  const startIncluded = compiled[0].action !== 'include';
+  return events.filter(e => {
+    let keep = startIncluded;
+    compiled.forEach(rule => {
+      if (rule.test(e)) keep = rule.action === 'include';
+    });
+    return keep;
+  });
+}
+
+/**
+ * The profile's filter rules followed by the cancelled and private
+ * exclusions it keeps on, for filterEvents. Being last, those win over any
+ * include rule in `filters`.
+ * @param {Profile} profile
+ * @returns {({ include: object } | { exclude: object })[]}
+ */
+export function profileFilters(profile) {
+  const p = withDefaults(profile);
+  return [
+    ...p.filters,
+    ...(p.hideCancelled ? [{ exclude: { status: '^cancelled$' } }] : []),
+    ...(p.hidePrivate ? [{ exclude: { class: '^(private|confidential)$' } }] : [])
+  ];
+}
+
+function compileMatcher(m) {
+  const tests = Object.entries(m).map(([key, val]) => {
+    if (key === 'not') { const t = compileMatcher(val); return e => !t(e); }
+    if (key === 'all') { const ts = val.map(compileMatcher); return e => ts.every(t => t(e)); }
+    if (key === 'any') { const ts = val.map(compileMatcher); return e => ts.some(t => t(e)); }
+    const res = [].concat(val).map(pattern => new RegExp(pattern, 'i'));
+    return e => filterValues(e, key).some(v => res.some(re => re.test(v)));
+  });
+  return e => tests.every(t => t(e));
+}
+
+function filterValues(e, field) {
+  if (field === 'category') return e.categories || [];
+  if (field === 'feed') return [e.source || ''];
+  return [String(e[field] || '')];
+}
+
+// ── ICS parser with TZID support ────────────────────────────────────
+const IMAGE_EXT = /\.(png|jpe?g|gif|webp|avif|svg)(\?|#|$)/i;
+
+function getLines(block, name) {
+  const re = new RegExp('^' + name + '([^:\\n]*):([^\\n]+)', 'gm');
+  const out = [];
+  let m;
+  while ((m = re.exec(block))) {
+    const paramsStr = m[1] || '';
+    const value = m[2].trim();
+    const params = {};
+    paramsStr.replace(/;([^=;:]+)=([^;:]+)/g, (_, k, v) => { params[k.toUpperCase()] = v.replace(/^"|"$/g, ''); return ''; });
+    out.push({ value, params });
+  }
+  return out;
+}
+
+function getLine(block, name) {
+  return getLines(block, name)[0] || null;
+}
+
+function wallClockToUTCISO(y, m, d, H, M, S, tz) {
+  const t = Date.UTC(y, m, d, H, M, S);
+  let offsetMs = tzOffsetAt(new Date(t), tz);
+  // Second pass: the offset at the guessed instant wins on DST-change days.
+  offsetMs = tzOffsetAt(new Date(t - offsetMs), tz);
+  return new Date(t - offsetMs).toISOString();
+}
+
+function tzOffsetAt(utcDate, timeZone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+  });
+  const parts = Object.fromEntries(fmt.formatToParts(utcDate).map(p => [p.type, p.value]));
+  const asIfUTC = Date.UTC(
+    Number(parts.year), Number(parts.month)-1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  return asIfUTC - utcDate.getTime();
+}
+
+function getSimple(block, name) {
+  const m = block.match(new RegExp('^' + name + '(?:;[^:\\n]+)?:([^\\n]+)', 'm'));
+  return m ? m[1].trim() : '';
+}
+
+// Splits an ICS DATE / DATE-TIME value into its fields (month is 0-based).
+function parseDateValue(v) {
+  const m = String(v || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  return {
+    y: +m[1], m: +m[2]-1, d: +m[3],
+    H: +(m[4] || 0), M: +(m[5] || 0), S: +(m[6] || 0),
+    utc: !!m[7], dateOnly: !m[4]
+  };
+}
+
+function toISOWithZone(line, defaultTZ) {
+  if (!line) return null;
+  const v = line.value;
+  const tz = (line.params && line.params.TZID) ? line.params.TZID : null;
+  const p = parseDateValue(v);
+
+  if (!p) return new Date(v).toISOString();
+  if (p.utc) return new Date(Date.UTC(p.y, p.m, p.d, p.H, p.M, p.S)).toISOString();
+  return wallClockToUTCISO(p.y, p.m, p.d, p.H, p.M, p.S, tz || defaultTZ);
+}
+
+// ── Time zones (VTIMEZONE, Windows names) ──────────────────────────
+// Outlook and Exchange feeds name zones "Eastern Standard Time" or invent
+// their own TZIDs and describe them in VTIMEZONE blocks. Before parsing,
+// every TZID is rewritten to an IANA name: as is when Intl knows it, then
+// the Windows (CLDR windowsZones) table, then the block's X-LIC-LOCATION,
+// then the IANA zone whose offsets match the block's rules over a year.
+// What is left falls back to the profile's zone with a warning.
+const WINDOWS_ZONES = {
+  'Dateline Standard Time': 'Etc/GMT+12', 'UTC-11': 'Etc/GMT+11', 'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage', 'Pacific Standard Time': 'America/Los_Angeles',
+  'Pacific Standard Time (Mexico)': 'America/Tijuana', 'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time': 'America/Denver', 'Mountain Standard Time (Mexico)': 'America/Mazatlan',
+  'Central America Standard Time': 'America/Guatemala', 'Central Standard Time': 'America/Chicago',
+  'Central Standard Time (Mexico)': 'America/Mexico_City', 'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota', 'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indianapolis', 'Eastern Standard Time (Mexico)': 'America/Cancun',
+  'Venezuela Standard Time': 'America/Caracas', 'Atlantic Standard Time': 'America/Halifax',
+  'SA Western Standard Time': 'America/La_Paz', 'Pacific SA Standard Time': 'America/Santiago',
+  'Newfoundland Standard Time': 'America/St_Johns', 'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Buenos_Aires', 'SA Eastern Standard Time': 'America/Cayenne',
+  'Greenland Standard Time': 'America/Godthab', 'UTC-02': 'Etc/GMT+2', 'Azores Standard Time': 'Atlantic/Azores',
+  'Cape Verde Standard Time': 'Atlantic/Cape_Verde', 'UTC': 'Etc/UTC', 'Coordinated Universal Time': 'Etc/UTC',
+  'GMT Standard Time': 'Europe/London', 'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin', 'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris', 'Central European Standard Time': 'Europe/Warsaw',
+  'W. Central Africa Standard Time': 'Africa/Lagos', 'GTB Standard Time': 'Europe/Bucharest',
+  'E. Europe Standard Time': 'Europe/Chisinau', 'Egypt Standard Time': 'Africa/Cairo',
+  'South Africa Standard Time': 'Africa/Johannesburg', 'FLE Standard Time': 'Europe/Kiev',
+  'Israel Standard Time': 'Asia/Jerusalem', 'Jordan Standard Time': 'Asia/Amman',
+  'Arabic Standard Time': 'Asia/Baghdad', 'Turkey Standard Time': 'Europe/Istanbul',
+  'Arab Standard Time': 'Asia/Riyadh', 'Russian Standard Time': 'Europe/Moscow',
+  'E. Africa Standard Time': 'Africa/Nairobi', 'Iran Standard Time': 'Asia/Tehran',
+  'Arabian Standard Time': 'Asia/Dubai', 'Afghanistan Standard Time': 'Asia/Kabul',
+  'Pakistan Standard Time': 'Asia/Karachi', 'West Asia Standard Time': 'Asia/Tashkent',
+  'India Standard Time': 'Asia/Calcutta', 'Sri Lanka Standard Time': 'Asia/Colombo',
+  'Nepal Standard Time': 'Asia/Katmandu', 'Bangladesh Standard Time': 'Asia/Dhaka',
+  'Myanmar Standard Time': 'Asia/Rangoon', 'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai', 'Singapore Standard Time': 'Asia/Singapore',
+  'Taipei Standard Time': 'Asia/Taipei', 'W. Australia Standard Time': 'Australia/Perth',
+  'Korea Standard Time': 'Asia/Seoul', 'Tokyo Standard Time': 'Asia/Tokyo',
+  'Cen. Australia Standard Time': 'Australia/Adelaide', 'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane', 'AUS Eastern Standard Time': 'Australia/Sydney',
+  'West Pacific Standard Time': 'Pacific/Port_Moresby', 'Tasmania Standard Time': 'Australia/Hobart',
+  'New Zealand Standard Time': 'Pacific/Auckland', 'Fiji Standard Time': 'Pacific/Fiji',
+  'Tonga Standard Time': 'Pacific/Tongatapu', 'Samoa Standard Time': 'Pacific/Apia'
+};
+const TZID_PARAM = /;TZID=("[^"]*"|[^;:\n]*)/g;
+
+function resolveTimezones(ics, defaultTZ) {
+  const blocks = {};
+  ics.split('BEGIN:VTIMEZONE').slice(1).forEach(b => {
+    const block = b.split('END:VTIMEZONE')[0];
+    const id = getSimple(block, 'TZID').replace(/^"|"$/g, '');
+    if (id) blocks[id] = block;
+  });
+  const resolved = {};
+  const resolve = tzid => {
+    if (!(tzid in resolved)) {
+      resolved[tzid] = ianaZone(tzid, blocks[tzid]);
+      if (!resolved[tzid]) {
+        console.warn(`Unknown time zone "${tzid}"; using ${defaultTZ} for its events`);
+        resolved[tzid] = defaultTZ;
+      }
+    }
+    return resolved[tzid];
+  };
+  return ics.replace(TZID_PARAM, (_, v) => ';TZID=' + resolve(v.replace(/^"|"$/g, '').trim()));
+}
+
+function ianaZone(tzid, vtimezone) {
+  // "/mozilla.org/20070129_1/America/New_York" ends in an IANA name
+  const parts = tzid.split('/');
+  const tails = [3, 2].map(n => parts.length > n ? parts.slice(-n).join('/') : null);
+  const windows = WINDOWS_ZONES[tzid.replace(/^\(UTC[^)]*\)\s*/, '')];
+  const location = vtimezone ? getSimple(vtimezone, 'X-LIC-LOCATION') : '';
+  const found = [tzid, ...tails, windows, location].find(isTimeZone);
+  if (found) return found;
+  return vtimezone ? matchZoneRules(vtimezone) : null;
+}
+
+function isTimeZone(name) {
+  if (!name) return false;
+  try { new Intl.DateTimeFormat('en-US', { timeZone: name }); return true; } catch { return false; }
+}
+
+// Weekly samples over the coming year; the well-known zones are tried first
+// so "Eastern" rules map to America/New_York, not an alias that sorts earlier.
+function matchZoneRules(vtimezone) {
+  const offsetAt = vtimezoneOffsets(vtimezone);
+  const start = Date.UTC(new Date().getUTCFullYear(), 0, 1, 12);
+  const samples = Array.from({ length: 53 }, (_, i) => start + i * 7 * DAY_MS);
+  const want = samples.map(offsetAt);
+  if (want.some(o => o === null)) return null;
+  const candidates = [...new Set(Object.values(WINDOWS_ZONES).concat(Intl.supportedValuesOf('timeZone')))];
+  return candidates.find(zone => samples.every((t, i) => tzOffsetAt(new Date(t), zone) === want[i])) || null;
+}
+
+// UTC instant → offset in ms, from the STANDARD / DAYLIGHT observances:
+// the latest onset (DTSTART, RRULE, RDATE in local time before the change)
+// wins.
+function vtimezoneOffsets(vtimezone) {
+  const offset = v => {
+    const m = String(v).match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+    return m ? (m[1] === '-' ? -1 : 1) * ((+m[2] * 60 + +m[3]) * 60 + +(m[4] || 0)) * 1000 : null;
+  };
+  const observances = vtimezone.split(/BEGIN:(?:STANDARD|DAYLIGHT)/).slice(1).map(b => {
+    const block = b.split(/END:(?:STANDARD|DAYLIGHT)/)[0];
+    const from = offset(getSimple(block, 'TZOFFSETFROM'));
+    const to = offset(getSimple(block, 'TZOFFSETTO'));
+    const dtstart = toFloating(getSimple(block, 'DTSTART'), {}, 'UTC');
+    const rrule = getSimple(block, 'RRULE');
+    return { from, to, dtstart, rule: rrule ? parseRRule(rrule) : null, rdates: floatingList(block, 'RDATE', 'UTC').map(r => r.ms) };
+  }).filter(o => o.from !== null && o.to !== null && o.dtstart !== null);
+  if (!observances.length) return () => null;
+
+  return utc => {
+    let best = null;
+    observances.forEach(o => {
+      const limit = utc + o.from;
+      let untilFloating = null;
+      if (o.rule && o.rule.UNTIL) {
+        const u = parseDateValue(o.rule.UNTIL);
+        untilFloating = u ? Date.UTC(u.y, u.m, u.d, u.H, u.M, u.S) + (u.utc ? o.from : 0) : null;
+      }
+      const onsets = (o.rule ? expandRRule(o.rule, o.dtstart, untilFloating, limit) : [o.dtstart]).concat(o.rdates);
+      onsets.forEach(ms => {
+        const at = ms - o.from;
+        if (at <= utc && (!best || at > best.at)) best = { at, offset: o.to };
+      });
+    });
+    if (best) return best.offset;
+    const first = observances.reduce((a, b) => (a.dtstart <= b.dtstart ? a : b));
+    return first.from;
+  };
+}
+
+// ── Recurrence (RRULE / RDATE / EXDATE / RECURRENCE-ID) ─────────────
+// Occurrences are computed on "floating" timestamps: Date.UTC() of the
+// wall-clock fields in the event's zone. Stepping days/weeks/months there
+// keeps 9:30 at 9:30 across DST; wallClockToUTCISO converts at the end.
+const DAY_MS = 86400000;
+const WEEKDAYS = ['SU','MO','TU','WE','TH','FR','SA'];
+const MAX_PERIODS = 20000;
+
+function floatingToISO(ms, tz) {
+  const d = new Date(ms);
+  return wallClockToUTCISO(
+    d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(),
+    d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), tz
+  );
+}
+
+// Value of an ICS line as a floating timestamp in `tz` (converting from
+// UTC or from another TZID when needed).
+function toFloating(value, params, tz) {
+  const p = parseDateValue(value);
+  if (!p) return null;
+  const wall = Date.UTC(p.y, p.m, p.d, p.H, p.M, p.S);
+  if (p.dateOnly) return wall;
+  if (p.utc || (params.TZID && params.TZID !== tz)) {
+    const utc = p.utc ? wall : Date.parse(wallClockToUTCISO(p.y, p.m, p.d, p.H, p.M, p.S, params.TZID));
+    return utc + tzOffsetAt(new Date(utc), tz);
+  }
+  return wall;
+}
+
+// Multi-valued properties (RDATE, EXDATE) may repeat and hold comma lists;
+// RDATE;VALUE=PERIOD keeps only the period start.
+function floatingList(block, name, tz) {
+  const out = [];
+  getLines(block, name).forEach(line => {
+    line.value.split(',').forEach(v => {
+      const ms = toFloating(v.split('/')[0].trim(), line.params, tz);
+      if (ms !== null) out.push({ ms, dateOnly: /^\d{8}$/.test(v.trim()) });
+    });
+  });
+  return out;
+}
+
+function parseDuration(v) {
+  const m = String(v || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const ms = ((+(m[2]||0) * 7 + +(m[3]||0)) * 86400 + +(m[4]||0) * 3600 + +(m[5]||0) * 60 + +(m[6]||0)) * 1000;
+  return m[1] === '-' ? -ms : ms;
+}
+
+function parseRRule(value) {
+  const rule = { FREQ: null, INTERVAL: 1, COUNT: null, UNTIL: null, WKST: 1, BYDAY: [], BYMONTHDAY: [], BYMONTH: [], BYSETPOS: [] };
+  value.split(';').forEach(part => {
+    const [k, v] = part.split('=');
+    const key = (k || '').trim().toUpperCase();
+    if (!v) return;
+    if (key === 'FREQ') rule.FREQ = v.toUpperCase();
+    else if (key === 'INTERVAL') rule.INTERVAL = Math.max(1, parseInt(v, 10) || 1);
+    else if (key === 'COUNT') rule.COUNT = Math.max(1, parseInt(v, 10) || 1);
+    else if (key === 'UNTIL') rule.UNTIL = v.trim();
+    else if (key === 'WKST') rule.WKST = Math.max(0, WEEKDAYS.indexOf(v.toUpperCase()));
+    else if (key === 'BYDAY') {
+      rule.BYDAY = v.split(',').map(s => {
+        const m = s.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        return m ? { n: m[1] ? +m[1] : 0, wd: WEEKDAYS.indexOf(m[2]) } : null;
+      }).filter(Boolean);
+    }
+    else if (key === 'BYMONTHDAY' || key === 'BYMONTH' || key === 'BYSETPOS') {
+      rule[key] = v.split(',').map(Number).filter(n => n && isFinite(n));
+    }
+  });
+  return rule;
+}
+
+function daysInMonth(y, m) { return new Date(Date.UTC(y, m + 1, 0)).getUTCDate(); }
+
+// Does the day `ms` match one BYDAY entry? Ordinals (2TU, -1FR) count
+// within [scopeStart, scopeEnd) — the month, or the year for plain YEARLY.
+function matchesByDay(byday, ms, scopeStart, scopeEnd) {
+  const wd = new Date(ms).getUTCDay();
+  return byday.some(b => {
+    if (b.wd !== wd) return false;
+    if (!b.n) return true;
+    if (b.n > 0) return Math.floor((ms - scopeStart) / (7 * DAY_MS)) + 1 === b.n;
+    return Math.floor((scopeEnd - DAY_MS - ms) / (7 * DAY_MS)) + 1 === -b.n;
+  });
+}
+
+function monthCandidates(rule, y, m, fallbackDay) {
+  const dim = daysInMonth(y, m);
+  const first = Date.UTC(y, m, 1), next = Date.UTC(y, m + 1, 1);
+  let days;
+  if (rule.BYMONTHDAY.length) days = rule.BYMONTHDAY.map(n => n > 0 ? n : dim + n + 1);
+  else if (rule.BYDAY.length) days = Array.from({ length: dim }, (_, i) => i + 1);
+  else days = [fallbackDay];
+  return days
+    .filter(d => d >= 1 && d <= dim)
+    .map(d => Date.UTC(y, m, d))
+    .filter(ms => !rule.BYDAY.length || matchesByDay(rule.BYDAY, ms, first, next));
+}
+
+// Day starts (floating midnight) of one FREQ period, before BYSETPOS.
+function periodCandidates(rule, dtDay, i) {
+  const base = new Date(dtDay);
+  const y = base.getUTCFullYear(), m = base.getUTCMonth(), d = base.getUTCDate();
+  const step = i * rule.INTERVAL;
+  const inMonths = ms => !rule.BYMONTH.length || rule.BYMONTH.includes(new Date(ms).getUTCMonth() + 1);
+
+  if (rule.FREQ === 'DAILY') {
+    const day = dtDay + step * DAY_MS;
+    const dd = new Date(day);
+    if (!inMonths(day)) return [];
+    if (rule.BYMONTHDAY.length) {
+      const dim = daysInMonth(dd.getUTCFullYear(), dd.getUTCMonth());
+      if (!rule.BYMONTHDAY.some(n => (n > 0 ? n : dim + n + 1) === dd.getUTCDate())) return [];
+    }
+    if (rule.BYDAY.length && !rule.BYDAY.some(b => b.wd === dd.getUTCDay())) return [];
+    return [day];
+  }
+  if (rule.FREQ === 'WEEKLY') {
+    const weekStart = periodStart(rule, dtDay, i);
+    const wds = rule.BYDAY.length ? rule.BYDAY.map(b => b.wd) : [base.getUTCDay()];
+    return wds
+      .map(wd => weekStart + ((wd - rule.WKST + 7) % 7) * DAY_MS)
+      .filter(inMonths);
+  }
+  if (rule.FREQ === 'MONTHLY') {
+    const ms = Date.UTC(y, m + step, 1);
+    if (!inMonths(ms)) return [];
+    const dt = new Date(ms);
+    return monthCandidates(rule, dt.getUTCFullYear(), dt.getUTCMonth(), d);
+  }
+  if (rule.FREQ === 'YEARLY') {
+    const yy = y + step;
+    if (rule.BYDAY.length && !rule.BYMONTH.length && !rule.BYMONTHDAY.length) {
+      const first = Date.UTC(yy, 0, 1), next = Date.UTC(yy + 1, 0, 1);
+      const out = [];
+      for (let ms = first; ms < next; ms += DAY_MS) if (matchesByDay(rule.BYDAY, ms, first, next)) out.push(ms);
+      return out;
+    }
+    const months = rule.BYMONTH.length ? rule.BYMONTH.map(n => n - 1)
+      : rule.BYMONTHDAY.length ? Array.from({ length: 12 }, (_, k) => k)
+      : [m];
+    return months.flatMap(mm => monthCandidates(rule, yy, mm, d));
+  }
+  return [];
+}
+
+function applySetPos(days, setpos) {
+  if (!setpos.length) return days;
+  return setpos
+    .map(n => days[n > 0 ? n - 1 : days.length + n])
+    .filter(ms => ms !== undefined);
+}
+
+// Floating start times produced by `rule` from `dtstart`, stopping at
+// UNTIL, COUNT or `limit` (all floating). DTSTART is always the first one.
+function expandRRule(rule, dtstart, untilFloating, limit) {
+  const out = [dtstart];
+  if (!rule.FREQ) return out;
+  const dtDay = dtstart - (dtstart % DAY_MS);
+  const timeOfDay = dtstart - dtDay;
+
+  for (let i = 0; i < MAX_PERIODS; i++) {
+    // A period that starts past the limit can only yield later dates.
+    if (periodStart(rule, dtDay, i) > limit) break;
+    const days = [...new Set(periodCandidates(rule, dtDay, i))].sort((a, b) => a - b);
+    const starts = applySetPos(days, rule.BYSETPOS).map(ms => ms + timeOfDay);
+    for (const ms of starts) {
+      if (ms <= dtstart) continue;
+      if ((untilFloating !== null && ms > untilFloating) || ms > limit) return out;
+      out.push(ms);
+      if (rule.COUNT && out.length >= rule.COUNT) return out;
+    }
+  }
+  return out;
+}
+
+function periodStart(rule, dtDay, i) {
+  const base = new Date(dtDay);
+  const step = i * rule.INTERVAL;
+  if (rule.FREQ === 'DAILY') return dtDay + step * DAY_MS;
+  if (rule.FREQ === 'WEEKLY') return dtDay - ((base.getUTCDay() - rule.WKST + 7) % 7) * DAY_MS + step * 7 * DAY_MS;
+  if (rule.FREQ === 'MONTHLY') return Date.UTC(base.getUTCFullYear(), base.getUTCMonth() + step, 1);
+  return Date.UTC(base.getUTCFullYear() + step, 0, 1);
+}
+
+/**
+ * The VEVENTs of an ICS calendar: lines unfolded, text unescaped, times
+ * (TZID, VTIMEZONE, Windows zone names, floating) turned into UTC. A
+ * recurring event comes back once, carrying `recurrence`, and each moved or
+ * cancelled instance as an event of its own; expandEvents turns them into
+ * the instances.
+ * @param {string} ics
+ * @param {{ timezone?: string }} [options]  zone of floating times (default DEFAULTS.timezone)
+ * @returns {CalendarEvent[]}
+ */
+export function parseICS(ics, options = {}) {
+  const defaultTZ = options.timezone || DEFAULTS.timezone;
+  ics = resolveTimezones(ics.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, ''), defaultTZ);
+  const blocks = ics.split('BEGIN:VEVENT').slice(1).map(b => 'BEGIN:VEVENT' + b.split('END:VEVENT')[0]);
+  // One pass, so an escaped backslash before "n" stays a backslash.
+  const unesc = s => String(s || '').replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c)).trim();
+  const events = [];
+
+  blocks.forEach(block => {
+    const sLine = getLine(block, 'DTSTART');
+    if (!sLine) return;
+    const eLine = getLine(block, 'DTEND');
+    const uid = getSimple(block, 'UID');
+    const all =
+      (sLine.params && sLine.params.VALUE === 'DATE') ||
+      /^\d{8}$/.test(sLine.value);
+    const startISO = toISOWithZone(sLine, defaultTZ);
+    let endISO = toISOWithZone(eLine, defaultTZ);
+    const duration = parseDuration(getSimple(block, 'DURATION'));
+    // DTEND is exclusive; an all-day event without one covers just its day.
+    const sDate = parseDateValue(sLine.value);
+    if (!endISO && all && sDate) {
+      const days = duration !== null ? Math.max(1, Math.round(duration / DAY_MS)) : 1;
+      endISO = wallClockToUTCISO(sDate.y, sDate.m, sDate.d + days, 0, 0, 0, sLine.params.TZID || defaultTZ);
+    }
+    if (!endISO && duration !== null) endISO = new Date(Date.parse(startISO) + duration).toISOString();
+    // Linked attachments only (inline ENCODING=BASE64 ones are skipped).
+    const attach = getLines(block, 'ATTACH')
+      .filter(a => /^https?:\/\//i.test(a.value))
+      .map(a => ({ url: a.value, type: (a.params.FMTTYPE || '').toLowerCase() }));
+    const image = attach.find(a => a.type ? a.type.startsWith('image/') : IMAGE_EXT.test(a.url));
+
+    const ev = {
+      uid,
+      title: unesc(getSimple(block, 'SUMMARY')) || 'Untitled',
+      location: unesc(getSimple(block, 'LOCATION')),
+      description: unesc(getSimple(block, 'DESCRIPTION')),
+      categories: getLines(block, 'CATEGORIES')
+        .flatMap(l => l.value.split(/(?<!\\),/))
+        .map(unesc)
+        .filter(Boolean),
+      status: getSimple(block, 'STATUS').toUpperCase(),
+      priority: Number(getSimple(block, 'PRIORITY')) || 0,
+      class: getSimple(block, 'CLASS').toUpperCase(),
+      url: getSimple(block, 'URL'),
+      attach,
+      image: image ? image.url : '',
+      allDay: all,
+      start: startISO,
+      end: endISO
+    };
+
+    const recurrenceId = getLine(block, 'RECURRENCE-ID');
+    if (recurrenceId) { events.push({ ...ev, originalStart: toISOWithZone(recurrenceId, defaultTZ) }); return; }
+
+    const rrule = getSimple(block, 'RRULE');
+    const rdates = getLines(block, 'RDATE');
+    if (!rrule && !rdates.length) { events.push(ev); return; }
+
+    // Recurring master: times in floating milliseconds of its zone `tz`.
+    const tz = sLine.params.TZID || ((parseDateValue(sLine.value) || {}).utc ? 'UTC' : defaultTZ);
+    const dtstart = toFloating(sLine.value, sLine.params, tz);
+    if (dtstart === null) { events.push(ev); return; }
+    const dtend = eLine ? toFloating(eLine.value, eLine.params, tz) : null;
+    events.push({ ...ev, recurrence: {
+      rrule, tz, dtstart,
+      length: dtend !== null ? dtend - dtstart : (duration !== null ? duration : (all ? DAY_MS : 0)),
+      hasEnd: dtend !== null || duration !== null || all,
+      rdates: floatingList(block, 'RDATE', tz).map(r => r.ms),
+      exdates: floatingList(block, 'EXDATE', tz)
+    } });
+  });
+  return events;
+}
+
+/**
+ * Recurring events (RRULE, RDATE, EXDATE) expanded into their instances
+ * that are not over by `range.from` and start by `range.until`. Instances
+ * with a moved or cancelled override (RECURRENCE-ID) give way to it, and
+ * cancelled overrides are dropped. Other events pass through as they are.
+ * @param {CalendarEvent[]} events  from parseICS
+ * @param {Range} [range]
+ * @returns {CalendarEvent[]} by start time
+ */
+export function expandEvents(events, range = {}) {
+  const now = new Date();
+  const from  = range.from  || now;
+  const until = range.until || new Date(now.getTime() + DEFAULTS.daysAhead * DAY_MS);
+  const overridden = {};  // UID → set of RECURRENCE-ID instants replaced by an override
+  events.filter(e => e.originalStart).forEach(e => (overridden[e.uid] = overridden[e.uid] || new Set()).add(e.originalStart));
+
+  const out = [];
+  events.forEach(e => {
+    if (e.originalStart && e.status === 'CANCELLED') return;
+    if (!e.recurrence) { out.push(e); return; }
+    const { recurrence: r, ...ev } = e;
+    const rule = parseRRule(r.rrule);
+    let untilFloating = null;
+    if (rule.UNTIL) {
+      const u = parseDateValue(rule.UNTIL);
+      untilFloating = u && u.dateOnly ? Date.UTC(u.y, u.m, u.d) + DAY_MS - 1 : toFloating(rule.UNTIL, {}, r.tz);
+    }
+    // Window end in floating time, padded for the zone offset.
+    const limit = until.getTime() + DAY_MS;
+    const starts = (r.rrule ? expandRRule(rule, r.dtstart, untilFloating, limit) : [r.dtstart]).concat(r.rdates);
+    const excluded = ms => r.exdates.some(x => x.dateOnly ? ms - (ms % DAY_MS) === x.ms : ms === x.ms);
+
+    [...new Set(starts)].sort((a, b) => a - b).forEach(ms => {
+      if (excluded(ms)) return;
+      const start = floatingToISO(ms, r.tz);
+      const end = r.hasEnd ? floatingToISO(ms + r.length, r.tz) : null;
+      if (Date.parse(end || start) < from.getTime() || Date.parse(start) > until.getTime()) return;
+      out.push({ ...ev, start, end, recurrenceId: start });
+    });
+  });
+
+  // Instances replaced by a RECURRENCE-ID override (moved or cancelled) drop out.
+  const startMs = e => Date.parse(e.start) || 0;
+  return out
+    .filter(e => !(e.recurrenceId && overridden[e.uid] && overridden[e.uid].has(e.recurrenceId)))
+    .sort((a, b) => startMs(a) - startMs(b));
+}
+
+// ── Feed merging ───────────────────────────────────────────────────
+// Collapses events found in more than one feed (same UID and start, or same
+// title and start). Higher-priority feeds are visited first, so their copy
+// wins; every feed the event came from is kept in `sources` for the dots.
+function mergeFeeds(lists) {
+  const byUid = new Map(), byTitle = new Map(), out = [];
+  const ordered = lists.slice().sort((a, b) => (b.feed.priority || 0) - (a.feed.priority || 0));
+
+  ordered.forEach(({ feed, events }) => {
+    const source = { name: feed.name, color: feed.color };
+    events.forEach(e => {
+      const uidKey = e.uid ? e.uid + '|' + e.start : null;
+      const titleKey = e.title.toLowerCase().replace(/\s+/g, ' ') + '|' + e.start;
+      const dup = (uidKey && byUid.get(uidKey)) || byTitle.get(titleKey);
+      if (dup) {
+        if (!dup.sources.some(s => s.name === source.name)) dup.sources.push(source);
+        return;
+      }
+      const ev = { ...e, source: feed.name, sources: [source] };
+      if (uidKey) byUid.set(uidKey, ev);
+      byTitle.set(titleKey, ev);
+      out.push(ev);
+    });
+  });
+  return out;
+}
+
+// Same title at the same time: one event, whichever list it came from.
+function sameEvent(a, b) {
+  return a.title.trim().toLowerCase() === b.title.trim().toLowerCase() &&
+    Date.parse(a.start) === Date.parse(b.start);
+}
+
+// ── Display schedule (off hours, burn-in) ──────────────────────────
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "mon", "mon-fri", "fri-mon", "sat,sun" or "daily" → weekday numbers
+// (0 = Sunday), or null.
+function dayList(spec) {
+  if (spec === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+  const out = [];
+  for (const part of String(spec).toLowerCase().split(',').map(s => s.trim())) {
+    const [a, b = a] = part.split('-').map(d => DAY_NAMES.indexOf(d));
+    if (a < 0 || b < 0) return null;
+    for (let i = a; ; i = (i + 1) % 7) { out.push(i); if (i === b) break; }
+  }
+  return out;
+}
+
+// "07:00-21:00" → [420, 1260] (minutes); "22:00-02:00" runs past midnight.
+function parseRange(r) {
+  const m = String(r).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const [from, to] = [m[1] * 60 + +m[2], m[3] * 60 + +m[4]];
+  return from <= 1440 && to <= 1440 && +m[2] < 60 && +m[4] < 60 && from !== to ? [from, to] : null;
+}
+
+// display.hours as seven { on: [[from, to], ...], off } (Sunday first), or
+// null when the screen is always on. A range past midnight continues into
+// the next day.
+function weekHours(d) {
+  if (!d.hours) return null;
+  const week = DAY_NAMES.map(() => ({ on: [], off: d.offHours }));
+  Object.entries(d.hours).forEach(([days, v]) => {
+    const spec = isPlainObject(v) ? v : { hours: v };
+    dayList(days).forEach(i => {
+      week[i].off = spec.offHours || d.offHours;
+      [].concat(spec.hours || []).map(parseRange).forEach(([from, to]) => {
+        if (from < to) { week[i].on.push([from, to]); return; }
+        week[i].on.push([from, 1440]);
+        week[(i + 1) % 7].on.push([0, to]);
+      });
+    });
+  });
+  return week;
+}
+
+// ── Localization ───────────────────────────────────────────────────
+// Every fixed string on the pages, per language ("es" also serves "es-MX").
+// A profile's `translations` win over these; missing keys fall back to en.
+const STRINGS = {
+  en: {
+    upcoming: 'Upcoming Events', featured: 'Featured', noEvents: 'No events', allDay: 'All day',
+    allDayRange: 'All day, {from} – {to}', now: 'Now', dayOf: 'Day {n} of {total}', cont: '(cont.)',
+    dataAsOf: 'Data as of {when}', alertUntil: '{event} until {time}', today: 'Today', hiLo: 'H {hi} / L {lo}',
+    happeningNow: 'Happening now', available: 'Available', free: 'Free', next: 'Next', laterToday: 'Later today',
+    endsIn: 'Ends in {time}', nextIn: 'Next meeting in {time}', minutes: '{m} min', hoursMinutes: '{h}h {m}m',
+    noEventsWeek: 'No events this week.', updated: 'updated {time}', scan: 'Scan for details',
+    emergency: 'Emergency', untilTime: 'Until {time}',
+    weather: {0:'Clear',1:'Mostly Sunny',2:'Partly Cloudy',3:'Cloudy',45:'Fog',48:'Freezing Fog',51:'Light Drizzle',53:'Drizzle',55:'Heavy Drizzle',61:'Light Rain',63:'Rain',65:'Heavy Rain',66:'Freezing Rain',67:'Freezing Rain',71:'Light Snow',73:'Snow',75:'Heavy Snow',77:'Snow Grains',80:'Rain Showers',81:'Rain Showers',82:'Heavy Showers',85:'Snow Showers',86:'Snow Showers',95:'Thunderstorms',96:'T’storms',99:'T’storms'}
+  },
+  es: {
+    upcoming: 'Próximos eventos', featured: 'Destacados', noEvents: 'No hay eventos', allDay: 'Todo el día',
+    allDayRange: 'Todo el día, {from} – {to}', now: 'Ahora', dayOf: 'Día {n} de {total}', cont: '(cont.)',
+    dataAsOf: 'Datos de {when}', alertUntil: '{event} hasta las {time}', today: 'Hoy', hiLo: 'Máx {hi} / Mín {lo}',
+    happeningNow: 'En curso', available: 'Disponible', free: 'Libre', next: 'Siguiente', laterToday: 'Más tarde hoy',
+    endsIn: 'Termina en {time}', nextIn: 'Próxima reunión en {time}', minutes: '{m} min', hoursMinutes: '{h} h {m} min',
+    noEventsWeek: 'No hay eventos esta semana.', updated: 'actualizado {time}', scan: 'Escanee para más información',
+    emergency: 'Emergencia', untilTime: 'Hasta {time}',
+    weather: {0:'Despejado',1:'Mayormente soleado',2:'Parcialmente nublado',3:'Nublado',45:'Niebla',48:'Niebla helada',51:'Llovizna ligera',53:'Llovizna',55:'Llovizna intensa',61:'Lluvia ligera',63:'Lluvia',65:'Lluvia intensa',66:'Lluvia helada',67:'Lluvia helada',71:'Nevada ligera',73:'Nieve',75:'Nevada intensa',77:'Granizo de nieve',80:'Chubascos',81:'Chubascos',82:'Chubascos fuertes',85:'Chubascos de nieve',86:'Chubascos de nieve',95:'Tormentas',96:'Tormentas',99:'Tormentas'}
+  }
+};
+
+// t(p, 'dayOf', { n: 2, total: 3 }) → "Day 2 of 3"; nested keys use dots ("weather.61").
+function t(p, key, vars = {}){
+  const locale = String(p.locale || 'en');
+  const base = locale.split('-')[0];
+  const own = p.translations || {};
+  const tables = [own[locale], STRINGS[locale], own[base], STRINGS[base], own.en, STRINGS.en];
+  const lookup = table => key.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), table);
+  const s = tables.map(lookup).find(v => typeof v === 'string');
+  return s === undefined ? '' : s.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+}
+
+// HTML for `render(profile)` in the profile's language, or in both when it
+// is bilingual: the page's CSS stacks or alternates the .l1 / .l2 spans.
+function bi(p, render){
+  if (!p.bilingual) return render(p);
+  const alt = { ...p, locale: p.bilingual.locale };
+  return `<span class="l1" lang="${esc(p.locale)}">${render(p)}</span><span class="l2" lang="${esc(alt.locale)}">${render(alt)}</span>`;
+}
+
+// A description line such as "[es] Misa en español" carries the title in
+// that language; those lines are not shown as description text.
+const ALT_TITLE_LINE = /^\[([a-z]{2,3})(?:-[\w-]+)?\]\s*(.*)$/i;
+function titleFor(e, p){
+  const lang = String(p.locale).split('-')[0].toLowerCase();
+  const line = String(e.description || '').split('\n').map(l => l.trim().match(ALT_TITLE_LINE))
+    .find(m => m && m[1].toLowerCase() === lang && m[2].trim());
+  return line ? line[2].trim() : e.title;
+}
+function withoutTitleLines(desc){
+  return String(desc || '').split('\n').filter(l => !ALT_TITLE_LINE.test(l.trim())).join('\n');
+}
+
+// ── Formatting ─────────────────────────────────────────────────────
+function fmtDate(d, p){
+  return new Intl.DateTimeFormat(p.locale, {
+    weekday:'short', month:'short', day:'numeric', timeZone: p.timezone
+  }).format(new Date(d));
+}
+function fmtTime(d, p){
+  return new Intl.DateTimeFormat(p.locale, {
+    hour:'numeric', minute:'2-digit', timeZone: p.timezone, hourCycle: p.hour24 ? 'h23' : 'h12'
+  }).format(new Date(d)).toLowerCase();
+}
+// Calendar day of an instant in the profile's zone, as YYYY-MM-DD.
+function dayKey(d, p){
+  return new Intl.DateTimeFormat('en-CA', {
+    year:'numeric', month:'2-digit', day:'2-digit', timeZone: p.timezone
+  }).format(new Date(d));
+}
+function sameDay(a, b, p){ return dayKey(a, p) === dayKey(b || a, p); }
+// Last instant an event occupies. DTEND is exclusive, so an all-day event
+// ending on the 23rd is over after the 22nd and 9 pm–midnight stays on one day.
+function lastMoment(e){
+  const s = Date.parse(e.start), t = Date.parse(e.end || e.start);
+  return new Date(t > s ? t - 1 : s);
+}
+// [start, end) of each local day the event covers (at most a year of them).
+function eventDays(e, p){
+  const last = dayKey(lastMoment(e), p);
+  const [y, m, d] = dayKey(e.start, p).split('-').map(Number);
+  const days = [];
+  for (let i = 0; i < 366; i++) {
+    const start = wallClockToUTCISO(y, m - 1, d + i, 0, 0, 0, p.timezone);
+    if (dayKey(start, p) > last) break;
+    days.push({ start, end: wallClockToUTCISO(y, m - 1, d + i + 1, 0, 0, 0, p.timezone) });
+  }
+  return days;
+}
+function fmtWhen(e, p){
+  const last = lastMoment(e);
+  if (e.allDay) return sameDay(e.start, last, p) ? t(p, 'allDay') : t(p, 'allDayRange', { from: fmtDate(e.start, p), to: fmtDate(last, p) });
+  if (!e.end || sameDay(e.start, last, p)) return `${fmtTime(e.start, p)}${e.end ? '–' + fmtTime(e.end, p) : ''}`;
+  return `${fmtDate(e.start, p)} ${fmtTime(e.start, p)} → ${fmtDate(e.end, p)} ${fmtTime(e.end, p)}`;
+}
+function stripHtml(s){ return String(s||'').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim(); }
+function esc(s){ return String(s||'').replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
+
+// ── Layouts, themes and partials ───────────────────────────────────
+// A layout (layouts/standard.js describes the contract) arranges the
+// partials below into the page; its own partials replace built-in ones.
+// Room signs keep their design but take the profile's theme.
+const LAYOUT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'layouts');
+export const BUILTIN_LAYOUTS = ['standard', 'portrait', 'lower-third', 'sidebar'];
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', svg: 'image/svg+xml' };
+
+function layoutFile(name){
+  return BUILTIN_LAYOUTS.includes(name) ? path.join(LAYOUT_DIR, name + '.js') : path.resolve(name);
+}
+
+/**
+ * A layout for render(): a built-in name (BUILTIN_LAYOUTS) or the path of a
+ * layout module.
+ * @param {string} name
+ * @returns {Promise<{ body: Function, css?: string, partials?: object }>}
+ */
+export async function loadLayout(name){
+  const file = layoutFile(name);
+  const layout = (await import(pathToFileURL(file).href)).default;
+  if (!layout || typeof layout.body !== 'function') throw new Error(`${name}: a layout's default export needs a body(ctx) function`);
+  return layout;
+}
+
+// A local logo file goes into the page as a data: URL, so the page, its
+// room signs and previews need nothing next to them.
+function logoSrc(logo){
+  if (!logo || /^https:\/\//.test(logo)) return logo;
+  const type = IMAGE_TYPES[path.extname(logo).slice(1).toLowerCase()];
+  return `data:${type};base64,${fs.readFileSync(logo).toString('base64')}`;
+}
+
+function themeCss(p){
+  return `:root{
+  --banner-bg:${p.colors.bannerBg};
+  --banner-fg:${p.colors.bannerFg};
+  --accent-red:${p.colors.stripRed};
+  --panel-bg:${p.colors.panelBg};
+  --panel-fg:${p.colors.panelFg};
+  --rule:${p.colors.rule};
+  --font-body:${p.fonts.body};
+  --font-heading:${p.fonts.heading || p.fonts.body};
+  --text-scale:${p.sizes.text};
+  --logo-height:${p.sizes.logo};
+}
+html{font-size:calc(100% * var(--text-scale))}
+body{font-family:var(--font-body)}
+.brand,.room,.panel-header,.dayhead,.label{font-family:var(--font-heading)}
+.logo{display:block;height:var(--logo-height);width:auto;flex:none}
+`;
+}
+function fontLink(p){
+  return p.fonts.url ? `<link rel="stylesheet" href="${esc(p.fonts.url)}">\n` : '';
+}
+
+// What layouts and partials get besides the profile and data.
+const HELPERS = {
+  esc, t, bi, fmtDate, fmtTime, fmtWhen, titleFor, summary,
+  date: (d, p, options) => new Intl.DateTimeFormat(p.locale, { timeZone: p.timezone, ...options }).format(new Date(d))
+};
+
+// The ids are what the page script updates; a layout that leaves a part
+// out simply does without it.
+const PARTIALS = {
+  banner: ({ p, partials: P }) => `<div class="bar">
+    <div class="brand">${p.logo ? `<img class="logo" src="${esc(p.logo)}" alt="">` : ''}<span>${esc(p.brand)}</span></div>
+    <div class="right">
+      ${P.weather()}
+      <div class="clock" id="clock"></div>
+    </div>
+  </div>`,
+  weather: ({ p, data }) => `<div class="weather" id="weather" aria-label="Current weather for ${esc(p.weather.place)}"${data.weather ? '' : ' hidden'}>
+        ${data.weather ? data.weather.badge : ''}
+      </div>`,
+  forecast: ({ data: { weather: wx } }) => `<div class="forecast" id="forecast"${wx && wx.forecast ? '' : ' hidden'}>${wx ? wx.forecast : ''}</div>`,
+  featured: ({ p, data }) => {
+    const cards = data.featured.map(e => e.html).join('');
+    return `<div class="featured" id="featured"${cards ? '' : ' hidden'}>
+    <div class="panel-header">${bi(p, q => esc(t(q, 'featured')))}</div>
+    <div class="fcards" id="fcards">${cards}</div>
+  </div>`;
+  },
+  spotlight: ({ data }) => {
+    const card = data.spotlight.length ? data.spotlight[0].html : '';
+    return `<div class="spotlight" id="spotlight"${card ? '' : ' hidden'}>${card}</div>`;
+  },
+  list: ({ p, data }) => {
+    const blocks = renderDays(data.events);
+    const alert = data.weather && data.weather.alerts.map(a => a.html).join(' · ');
+    return `<div class="panel">
+    <div class="panel-header${alert ? ' alert' : ''}" id="phead"${alert ? ' role="alert"' : ''}><span id="ptitle">${alert ? '⚠ ' + alert : bi(p, q => esc(t(q, 'upcoming')))}</span><span class="pager" id="pager" hidden></span></div>
+    <div class="vwrap${p.mode === 'pages' ? ' pages ' + p.pageTransition : ''}">
+      <div class="vcontent">
+        ${blocks || noEventsHtml(p)}
+        ${p.mode === 'pages' ? '' : blocks}
+      </div>
+      <div class="stale" id="stale"${data.stale ? '' : ' hidden'}>${data.stale ? data.stale.label : ''}</div>
+    </div>
+  </div>`;
+  },
+  ticker: () => `<div class="ticker" id="ticker" hidden><div class="ttrack" id="ttrack"></div></div>`,
+  eventRow: ({ p }, e, day = null) => renderEventRow(e, p, day),
+  dayHeader: ({ p }, d) => bi(p, q => esc(fmtDate(d, q)))
+};
+
+// `ctx` for one profile's page; `data` is left out while pageData is still
+// rendering the rows.
+function layoutView(p, layout = {}, data = null){
+  const ctx = { p, data, h: HELPERS };
+  const bind = set => Object.fromEntries(Object.entries(set).map(([name, f]) => [name, (...args) => f(ctx, ...args)]));
+  ctx.base = bind(PARTIALS);
+  ctx.partials = { ...ctx.base, ...bind(layout.partials || {}) };
+  return ctx;
+}
+
+// ── HTML render ─────────────────────────────────────────────────────
+const SPOTLIGHT_MAX = 12;
+
+// `day` ({ n, total }) tags each day of a multi-day event "Day 2 of 3";
+// other timed events carry a "Now" tag the page shows while in progress.
+function renderEventRow(e, p, day = null){
+  const dots = p.feeds.length > 1
+    ? `<span class="src">${(e.sources || []).map(s => `<span class="dot" style="background:${esc(s.color)}" title="${esc(s.name)}"></span>`).join('')}${esc(e.source)}</span>`
+    : '';
+  const badge = day ? `<span class="tag">${bi(p, q => esc(t(q, 'dayOf', day)))}</span>`
+    : (e.allDay ? '' : `<span class="tag now">${bi(p, q => esc(t(q, 'now')))}</span>`);
+  return `<div class="event">
+                <div class="title">${badge}${bi(p, q => esc(titleFor(e, q)))}</div>
+                <div class="meta">${dots}${bi(p, q => esc(fmtWhen(e, q)))}${e.location ? ` • ${esc(e.location)}` : ''}</div>
+                ${p.details === 'rows' ? renderDetails(e, p) : ''}
+              </div>`;
+}
+
+function renderFeaturedCard(e, p){
+  const desc = summary(e, 180);
+  return `<div class="fcard">
+              ${e.image ? `<img class="fimg" src="${esc(e.image)}" alt="">` : ''}
+              <div class="fbody">
+                <div class="title">${bi(p, q => esc(titleFor(e, q)))}</div>
+                <div class="meta">${bi(p, q => esc(fmtDate(e.start, q) + ' · ' + fmtWhen(e, q)))}${e.location ? ` • ${esc(e.location)}` : ''}</div>
+                ${desc ? `<div class="fdesc">${esc(desc)}</div>` : ''}
+              </div>
+              ${renderQr(e, p)}
+            </div>`;
+}
+
+// Image, description and QR code under an event row (details: "rows").
+function renderDetails(e, p){
+  const desc = summary(e, 160), qr = renderQr(e, p);
+  if (!e.image && !desc && !qr) return '';
+  return `<div class="details">${e.image ? `<img class="dimg" src="${esc(e.image)}" alt="">` : ''}${desc ? `<div class="ddesc">${esc(desc)}</div>` : ''}${qr}</div>`;
+}
+
+// One event's card in the spotlight (details: "spotlight").
+function renderSpotlightCard(e, p){
+  const desc = summary(e, 320);
+  return `<div class="scard">
+              ${e.image ? `<img class="simg" src="${esc(e.image)}" alt="">` : ''}
+              <div class="sbody">
+                <div class="title">${bi(p, q => esc(titleFor(e, q)))}</div>
+                <div class="meta">${bi(p, q => esc(fmtDate(e.start, q) + ' · ' + fmtWhen(e, q)))}${e.location ? ` • ${esc(e.location)}` : ''}</div>
+                ${desc ? `<div class="sdesc">${esc(desc)}</div>` : ''}
+              </div>
+              ${renderQr(e, p)}
+            </div>`;
+}
+
+// QR code of the event's link, made at build time (qr.js).
+function renderQr(e, p){
+  const url = linkOf(e);
+  const svg = url && qrSvg(url, { title: url });
+  return svg ? `<figure class="qr-box">${svg}<figcaption>${bi(p, q => esc(t(q, 'scan')))}</figcaption></figure>` : '';
+}
+
+// Plain-text description (alternate-language title lines dropped), cut at a
+// word boundary to at most `max` characters.
+function summary(e, max){
+  const s = stripHtml(withoutTitleLines(e.description));
+  return s.length > max ? s.slice(0, max).replace(/\s+\S*$/, '') + '…' : s;
+}
+function linkOf(e){ return /^https?:\/\//i.test(e.url || '') ? e.url : ''; }
+function hasDetails(e){ return !!(e.image || linkOf(e) || stripHtml(withoutTitleLines(e.description))); }
+
+// What the page shows, with each row pre-rendered. Written to events.json
+// and inlined into the page; the page script re-renders from it, so the
+// same grouping is repeated there (keep the two in step).
+// A multi-day event is listed under every day it covers; each of those rows
+// spans only its own day, so the page drops the finished days one by one.
+function pageData(p, events, featured, now, staleAsOf = null, weather = null, layout = {}){
+  const { eventRow, dayHeader } = layoutView(p, layout).partials;
+  const item = (e, html) => ({ uid: e.uid || '', title: e.title, start: e.start, end: e.end || null, html });
+  const until = now.getTime() + p.daysAhead * 86400000;
+  const rows = events.flatMap(e => {
+    const days = e.end ? eventDays(e, p) : [];
+    if (days.length < 2) return [{ ...item(e, eventRow(e)), day: fmtDate(e.start, p), dayHtml: dayHeader(e.start) }];
+    return days.map((d, i) => ({
+      ...item(e, eventRow(e, { n: i + 1, total: days.length })),
+      start: i ? d.start : e.start,
+      end: i < days.length - 1 ? d.end : e.end,
+      day: fmtDate(d.start, p),
+      dayHtml: dayHeader(d.start)
+    })).filter(r => Date.parse(r.end) > now && Date.parse(r.start) <= until);
+  }).sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  return {
+    generated: now.toISOString(),
+    stale: staleAsOf ? { asOf: staleAsOf, label: bi(p, q => esc(t(q, 'dataAsOf', { when: `${fmtDate(staleAsOf, q)}, ${fmtTime(staleAsOf, q)}` }))) } : null,
+    events: rows,
+    featured: featured.map(e => item(e, renderFeaturedCard(e, p))),
+    spotlight: p.details === 'spotlight'
+      ? events.filter(hasDetails).slice(0, SPOTLIGHT_MAX).map(e => item(e, renderSpotlightCard(e, p)))
+      : [],
+    weather: weatherData(weather, p, now)
+  };
+}
+
+function wmoLabel(code, p){ return t(p, 'weather.' + code) || '—'; }
+function wmoIcon(code){
+  if ([0].includes(code)) return '☀️';
+  if ([1,2].includes(code)) return '⛅';
+  if ([3].includes(code)) return '☁️';
+  if ([45,48].includes(code)) return '🌫️';
+  if ([51,53,55].includes(code)) return '🌦️';
+  if ([61,63,65].includes(code)) return '🌧️';
+  if ([66,67].includes(code)) return '🌧️❄️';
+  if ([71,73,75,77].includes(code)) return '❄️';
+  if ([80,81,82].includes(code)) return '🌧️';
+  if ([85,86].includes(code)) return '🌨️';
+  if ([95,96,99].includes(code)) return '⛈️';
+  return '🌡️';
+}
+
+// Badge and forecast strip pre-rendered; alerts stay data so the page can
+// drop them when they expire.
+function weatherData(wx, p, now){
+  if (!wx) return null;
+  const deg = v => `${Math.round(v)}°`;
+  const today = wx.daily[0];
+  const badge = `<span class="w-icon">${wmoIcon(wx.current.code)}</span>
+        <span class="w-temp">${deg(wx.current.temp)}${esc(p.weather.units)}</span>
+        <span>${bi(p, q => esc(wmoLabel(wx.current.code, q)))}</span>
+        ${today ? `<span class="badge">${bi(p, q => esc(t(q, 'hiLo', { hi: deg(today.hi), lo: deg(today.lo) })))}</span>` : ''}
+        <span class="badge">${esc(p.weather.place)}</span>`;
+  const dayName = (date, i, q) => i ? new Intl.DateTimeFormat(q.locale, { weekday: 'short', timeZone: 'UTC' }).format(new Date(date + 'T12:00:00Z')) : t(q, 'today');
+  const forecast = wx.daily.slice(0, p.weather.forecastDays).map((d, i) =>
+    `<div class="fday" title="${esc(wmoLabel(d.code, p))}"><span class="fname">${bi(p, q => esc(dayName(d.date, i, q)))}</span><span class="w-icon">${wmoIcon(d.code)}</span><span>${deg(d.hi)} / ${deg(d.lo)}</span></div>`).join('');
+  const alerts = (wx.alerts || [])
+    .filter(a => !a.until || new Date(a.until) > now)
+    .map(a => ({
+      html: bi(p, q => esc(a.until ? t(q, 'alertUntil', { event: a.event, time: fmtTime(a.until, q) }) : a.event)),
+      until: a.until
+    }));
+  return { asOf: wx.asOf, badge, forecast, alerts };
+}
+
+// Day blocks in first-seen order (events arrive sorted by start).
+function renderDays(items){
+  const days = [];
+  items.forEach(e => {
+    const last = days[days.length - 1];
+    if (last && last.label === e.day) last.rows.push(e.html);
+    else days.push({ label: e.day, html: e.dayHtml, rows: [e.html] });
+  });
+  return days.map(d => `<div class="day">
+              <div class="dayhead">${d.html}</div>
+              ${d.rows.join('')}
+            </div>`).join('');
+}
+
+// Bilingual pages: .l1 / .l2 spans stacked, or alternating every few seconds.
+const BILINGUAL_CSS = `
+.l2{opacity:.75}
+.bi-stack .l2::before{content:" / "}
+.bi-stack :is(.title,.dayhead,.label,.panel-header>span)>.l2{display:block;font-size:.85em}
+.bi-stack :is(.title,.dayhead,.label,.panel-header>span)>.l2::before{content:none}
+.bi-alternate .l2,.bi-alternate.show-l2 .l1{display:none}
+.bi-alternate.show-l2 .l2{display:inline;opacity:1}
+`;
+
+// Announcements: the bottom ticker (main pages) and the full-screen
+// emergency alert (main and room pages).
+const NOTICE_CSS = `
+.ticker{overflow:hidden;white-space:nowrap;background:#111;color:#fff;font-weight:700;font-size:clamp(.95rem,1.9vw,1.3rem);padding:.45rem 0}
+.ttrack{display:inline-block;padding-left:100%;animation:crawl 30s linear infinite}
+@keyframes crawl{to{transform:translateX(-100%)}}
+.notice+.notice::before{content:"•";margin:0 1.5em;opacity:.6}
+.emergency{position:fixed;inset:0;z-index:100;display:flex;flex-direction:column;justify-content:center;gap:6vh;padding:5vw;box-sizing:border-box;background:#000;color:#fff;border:1.5vw solid #d50000;text-align:center;overflow:hidden}
+.emergency[hidden]{display:none}
+.emergency-on .wrap{visibility:hidden}
+.em-label{color:#ffeb3b;font-weight:900;letter-spacing:.12em;text-transform:uppercase;font-size:clamp(1.2rem,4vw,3rem)}
+.em-title{font-weight:900;font-size:clamp(2rem,7vw,6rem);line-height:1.1;margin-top:1vh}
+.em-detail{font-size:clamp(1rem,3.2vw,2.4rem);line-height:1.3;margin-top:2vh}
+.em-until{font-size:clamp(.9rem,2.4vw,1.8rem);opacity:.85;margin-top:2vh}
+`;
+
+// Client side of the above: shows what is in effect now and re-reads
+// notices.json (at `url`) every announcements.pollMs.
+function noticeScript(p, notices, url){
+  return `// --- Announcements: ticker and emergency takeover, polled from ${path.basename(url)} ---
+const NOTICES_URL=${JSON.stringify(url)};
+const TICKER_PX_PER_SEC=90;
+let notices=${JSON.stringify(notices).replace(/</g, '\\u003c')}, noticeKey=null;
+function renderNotices(){
+  const now=nowMs();
+  const active=notices.announcements.filter(a=>(!a.start||Date.parse(a.start)<=now)&&(!a.end||Date.parse(a.end)>now));
+  const em=active.filter(a=>a.emergency), crawl=active.filter(a=>!a.emergency);
+  const key=em.map(a=>a.html).join('')+'|'+crawl.map(a=>a.html).join('');
+  if(key===noticeKey)return;
+  noticeKey=key;
+  const box=document.getElementById('emergency');
+  box.innerHTML=em.map(a=>'<div class="em">'+a.html+'</div>').join('');
+  box.hidden=!em.length;
+  document.body.classList.toggle('emergency-on',em.length>0);
+  const ticker=document.getElementById('ticker');
+  if(!ticker)return;
+  const wasShown=!ticker.hidden;
+  ticker.hidden=!crawl.length;
+  const track=document.getElementById('ttrack');
+  track.innerHTML=crawl.map(a=>'<span class="notice">'+a.html+'</span>').join('');
+  track.style.animationDuration=Math.max(10000,Math.round(track.scrollWidth/TICKER_PX_PER_SEC*1000))+'ms';
+  if(wasShown===ticker.hidden)window.dispatchEvent(new Event('resize')); // the list lost or gained room
+}
+async function pollNotices(){
+  try{
+    const r=await fetch(NOTICES_URL+'?t='+Date.now(),{cache:'no-store'});
+    if(r.ok) notices=await r.json();
+  }catch(e){ /* keep showing what we have */ }
+  renderNotices();
+}
+renderNotices();
+setInterval(renderNotices,5000);
+setInterval(pollNotices,${p.announcements.pollMs});
+`;
+}
+
+// Display schedule and burn-in protection, shared by the main and room
+// pages: off-hours dimming or cover screen, pixel shift, banner swap.
+const DISPLAY_CSS = `
+.wrap{transform:translate(var(--shift-x,0),var(--shift-y,0));transition:transform 2s ease}
+.swap .bar{flex-direction:row-reverse}
+.off-dim .wrap{filter:brightness(.3)}
+.offscreen{position:fixed;inset:0;z-index:90;background:#000;color:#777}
+.offclock{position:absolute;transform:translate(-50%,-50%);font-weight:700;font-variant-numeric:tabular-nums;font-size:clamp(2rem,9vw,8rem);transition:left 2s,top 2s}
+.off-blank .offclock{display:none}
+@media (prefers-reduced-motion: reduce){.wrap,.offclock{transition:none}}
+`;
+
+function displayScript(p){
+  return `// --- Display schedule: off hours and burn-in protection ---
+const HOURS=${JSON.stringify(weekHours(p.display))};
+const hoursFmt=new Intl.DateTimeFormat('en-US',{timeZone:${JSON.stringify(p.timezone)},weekday:'short',hour:'2-digit',minute:'2-digit',hourCycle:'h23'});
+const offClockFmt=new Intl.DateTimeFormat(${JSON.stringify(p.locale)},{timeZone:${JSON.stringify(p.timezone)},hour:'numeric',minute:'2-digit',hourCycle:${JSON.stringify(p.hour24 ? 'h23' : 'h12')}});
+let offShown=null;
+// null while the screen is in use, else the off-hours mode
+function offMode(){
+  if(!HOURS)return null;
+  const d=Object.fromEntries(hoursFmt.formatToParts(new Date(nowMs())).map(x=>[x.type,x.value]));
+  const day=HOURS[${JSON.stringify(DAY_NAMES.map(n => n[0].toUpperCase() + n.slice(1)))}.indexOf(d.weekday)];
+  const min=Number(d.hour)*60+Number(d.minute);
+  return day.on.some(r=>min>=r[0]&&min<r[1])?null:day.off;
+}
+function applyDisplay(){
+  const mode=offMode();
+  const cover=document.getElementById('offscreen');
+  if(mode!==offShown){
+    ['dim','clock','blank'].forEach(m=>document.body.classList.toggle('off-'+m,mode===m));
+    cover.hidden=mode!=='clock'&&mode!=='blank';
+    offShown=mode;
+  }
+  if(mode==='clock'){
+    const clock=document.getElementById('offclock');
+    clock.textContent=offClockFmt.format(new Date(nowMs())).toLowerCase();
+    // Wander a little every few minutes
+    if(!clock.style.left||new Date(nowMs()).getMinutes()%5===0){ clock.style.left=(30+Math.random()*40)+'%'; clock.style.top=(30+Math.random()*40)+'%'; }
+  }
+}
+applyDisplay();
+setInterval(applyDisplay,30*1000);
+${p.display.pixelShiftMs ? `setInterval(()=>{
+  const px=()=>Math.round(Math.random()*8-4)+'px';
+  document.body.style.setProperty('--shift-x',px());
+  document.body.style.setProperty('--shift-y',px());
+},${p.display.pixelShiftMs});` : ''}
+${p.display.layoutShiftMs ? `setInterval(()=>document.body.classList.toggle('swap'),${p.display.layoutShiftMs});` : ''}
+`;
+}
+
+// A file written next to a page: chapel/index.html + events.json →
+// chapel/events.json, lobby.html + events.json → lobby.events.json.
+function siblingPath(output, name){
+  const base = path.basename(output);
+  const file = base === 'index.html' ? name : base.replace(/\.html?$/, '') + '.' + name;
+  return path.join(path.dirname(output), file);
+}
+
+function noEventsHtml(p){
+  return `<div class="day"><div class="dayhead">${bi(p, q => esc(t(q, 'noEvents')))}</div></div>`;
+}
+
+// The page for `layout` (see layoutView); `clockOffsetMs` shifts the page
+// clock (build --now), 0 in production. The page re-reads `dataUrl` and
+// `noticesUrl`, its sibling events.json and notices.json unless given.
+function renderHtml(p, data, notices, layout, clockOffsetMs = 0,
+  dataUrl = path.basename(siblingPath(p.output, 'events.json')), noticesUrl = path.basename(siblingPath(p.output, 'notices.json'))){
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  const L = Object.fromEntries(['upcoming', 'cont'].map(k => [k, bi(p, q => esc(t(q, k)))]));
+
+  return `<!doctype html><html lang="${esc(p.locale)}"><head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${esc(p.brand)}</title>
+${fontLink(p)}<style>
+${themeCss(p)}:root{--scroll-ms:${p.scrollMs}ms}
+html,body{height:100%}
+body{margin:0;background:transparent;color:var(--panel-fg)}
+.wrap{display:flex;flex-direction:column;width:100%;height:100%;box-sizing:border-box}
+
+/* Top banner (grayish blue with white) */
+.bar{
+  display:flex;align-items:center;justify-content:space-between;
+  padding:.6rem 1rem;background:var(--banner-bg);color:var(--banner-fg)
+}
+.brand{display:flex;align-items:center;gap:.6rem;font-weight:800;font-size:clamp(1.1rem,2.2vw,2rem);letter-spacing:.02em}
+.right{display:flex;align-items:center;gap:14px}
+.clock{font-weight:700;font-variant-numeric:tabular-nums;font-size:clamp(.95rem,1.8vw,1.4rem)}
+
+/* Weather badge */
+.weather{display:flex;align-items:center;gap:10px;font-size:14px;color:rgba(255,255,255,.85)}
+.w-icon{font-size:18px;line-height:1}
+.weather .w-temp{color:#fff;font-weight:800;font-size:16px}
+.badge{font-size:12px;background:rgba(255,255,255,.15);padding:4px 8px;border-radius:999px;color:#fff}
+
+/* Panel (white) with red header */
+.panel{
+  display:flex;flex-direction:column;background:var(--panel-bg);color:var(--panel-fg);
+  border-left:1px solid var(--rule);border-right:1px solid var(--rule);border-bottom:1px solid var(--rule);
+  flex:1;min-height:0;box-sizing:border-box
+}
+.panel-header{background:var(--accent-red);color:#fff;padding:.5rem .9rem;font-weight:800;font-size:clamp(1rem,2vw,1.4rem)}
+.panel-header.alert{background:repeating-linear-gradient(-45deg,#b71c1c 0 18px,#8e0000 18px 36px);animation:alertpulse 2s ease-in-out infinite}
+@keyframes alertpulse{50%{filter:brightness(1.25)}}
+
+/* Forecast strip */
+.forecast{display:flex;background:var(--banner-bg);color:var(--banner-fg);border-top:1px solid rgba(255,255,255,.15)}
+.fday{flex:1;display:flex;align-items:center;justify-content:center;gap:.4rem;padding:.25rem .5rem;font-size:clamp(.75rem,1.4vw,.95rem);font-variant-numeric:tabular-nums}
+.fday .fname{font-weight:700}
+
+/* Featured (pinned above the scroller) */
+.featured{background:var(--panel-bg);border:1px solid var(--rule);border-top:0}
+.featured .fcards{display:flex;flex-direction:column}
+.fcard{display:flex;gap:.8rem;padding:.6rem 1rem;border-bottom:1px solid var(--rule);border-left:6px solid var(--accent-red);background:rgba(198,40,40,.06)}
+.fimg{width:clamp(72px,16vw,160px);aspect-ratio:16/9;object-fit:cover;border-radius:6px;flex:none}
+.fbody{min-width:0}
+.fbody .title{font-weight:800}
+.fdesc{opacity:.8;font-size:clamp(.8rem,1.5vw,1rem);margin-top:.2rem;display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden}
+.fbody{flex:1}
+.fcard .qr{width:clamp(56px,8vw,96px)}
+
+/* Spotlight: one event's details at a time; fixed height so the list below keeps its size */
+.spotlight{height:clamp(120px,24vh,280px);overflow:hidden;background:var(--panel-bg);border:1px solid var(--rule);border-top:0}
+.scard{display:flex;gap:1rem;height:100%;box-sizing:border-box;padding:.7rem 1rem;border-left:6px solid var(--banner-bg);animation:spotin .8s ease both;transform-origin:top}
+@keyframes spotin{from{opacity:0;transform:scaleY(.6)}}
+.simg{height:100%;aspect-ratio:4/3;object-fit:cover;border-radius:6px;flex:none}
+.sbody{flex:1;min-width:0;overflow:hidden}
+.sbody .title{font-weight:800;font-size:clamp(1.05rem,2.2vw,1.5rem)}
+.sdesc{opacity:.85;font-size:clamp(.85rem,1.6vw,1.1rem);margin-top:.35rem;display:-webkit-box;-webkit-line-clamp:4;-webkit-box-orient:vertical;overflow:hidden}
+.scard .qr-box{height:100%}
+.scard .qr{flex:1;min-height:0;width:auto}
+
+/* QR code of an event's link */
+.qr-box{display:flex;flex-direction:column;align-items:center;gap:.2rem;margin:0;flex:none}
+.qr{display:block;aspect-ratio:1}
+.qr-box figcaption{font-size:clamp(.6rem,1.1vw,.8rem);font-weight:700;opacity:.75;text-align:center}
+
+/* Scroller */
+.vwrap{position:relative;overflow:hidden;height:100%}
+.vcontent{position:absolute;width:100%;animation:vscroll var(--scroll-ms) linear infinite}
+@keyframes vscroll{0%{transform:translateY(0)}98%{transform:translateY(-50%)}100%{transform:translateY(0)}}
+
+/* Shown when a feed was down and the last good copy is on screen */
+.stale{position:absolute;right:.6rem;bottom:.4rem;z-index:2;font-size:.75rem;opacity:.55;background:var(--panel-bg);padding:.1rem .4rem;border-radius:4px}
+
+/* Pages mode */
+.vwrap.pages .vcontent{animation:none;top:0;bottom:0}
+.page{position:absolute;inset:0;overflow:hidden;opacity:0;transition:opacity .7s ease,transform .7s ease}
+.page.active{opacity:1}
+.vwrap.slide .page{opacity:1;transform:translateX(100%)}
+.vwrap.slide .page.prev{transform:translateX(-100%)}
+.vwrap.slide .page.active{transform:none}
+.vwrap.slide .page:not(.active):not(.prev){transition:none}
+.pager{float:right;font-weight:700;opacity:.9;font-variant-numeric:tabular-nums}
+
+/* Events */
+.day{padding:.7rem 1rem .8rem;border-bottom:1px solid var(--rule)}
+.dayhead{font-weight:800;opacity:.9;margin:0 0 .35rem;font-size:clamp(.95rem,1.8vw,1.2rem)}
+.event{padding:.35rem 0}
+.title{font-size:clamp(.95rem,1.9vw,1.25rem);line-height:1.35}
+.meta{opacity:.85;font-size:clamp(.85rem,1.6vw,1.05rem);margin-top:.15rem}
+.tag{display:inline-block;margin-right:.45rem;padding:.05rem .45rem;border-radius:999px;background:var(--accent-red);color:#fff;font-size:.7em;font-weight:800;vertical-align:.15em;text-transform:uppercase;letter-spacing:.04em}
+.tag.now{display:none}
+${BILINGUAL_CSS}${NOTICE_CSS}${DISPLAY_CSS}.event.live .tag.now{display:inline-block}
+@media (prefers-reduced-motion: reduce){
+  .scard,.panel-header.alert{animation:none}
+  .page{transition:none}
+  .ticker{white-space:normal}
+  .ttrack{padding:0 1rem;animation:none}
+}
+.src{display:inline-flex;align-items:center;gap:.25rem;margin-right:.5rem;font-weight:700}
+.dot{display:inline-block;width:.6em;height:.6em;border-radius:50%}
+.details{display:flex;align-items:flex-start;gap:.7rem;margin-top:.35rem}
+.dimg{width:clamp(64px,12vw,140px);aspect-ratio:16/9;object-fit:cover;border-radius:4px;flex:none}
+.ddesc{flex:1;opacity:.8;font-size:clamp(.8rem,1.5vw,1rem);display:-webkit-box;-webkit-line-clamp:3;-webkit-box-orient:vertical;overflow:hidden}
+.details .qr{width:clamp(56px,7vw,88px)}
+${layout.css || ''}</style>
+</head>
+<body${p.bilingual ? ` class="bi-${p.bilingual.mode}"` : ''}>
+${layout.body(layoutView(p, layout, data))}
+<div class="offscreen" id="offscreen" hidden><div class="offclock" id="offclock"></div></div>
+<div class="emergency" id="emergency" role="alert" hidden></div>
+<script>
+// Build-time clock offset (non-zero only for --now previews)
+const NOW_OFFSET=${clockOffsetMs};
+function nowMs(){ return Date.now()+NOW_OFFSET; }
+// Parts the layout left out get a detached stand-in
+function el(id){ return document.getElementById(id)||document.createElement('div'); }
+
+// Clock in the profile's zone, with that zone's abbreviation (EST, CDT…)
+function tick(){
+  const d=new Date(nowMs());
+  const f=loc=>new Intl.DateTimeFormat(loc,{
+    timeZone:${JSON.stringify(p.timezone)},hourCycle:${JSON.stringify(p.hour24 ? 'h23' : 'h12')},
+    weekday:'long',month:'long',day:'numeric',hour:'numeric',minute:'2-digit',timeZoneName:'short'
+  }).format(d);
+  el('clock').innerHTML=${p.bilingual
+    ? `'<span class="l1">'+f(${JSON.stringify(p.locale)})+'</span><span class="l2">'+f(${JSON.stringify(p.bilingual.locale)})+'</span>'`
+    : `f(${JSON.stringify(p.locale)})`};
+}
+setInterval(tick,1000); tick();
+
+// 🔽 Auto-tune scroll speed by content height, keeping the current position
+let lastListHeight=0;
+function autoSpeed(){
+  const root=document.documentElement;
+  const content=document.querySelector('.vcontent');
+  const viewport=document.querySelector('.vwrap');
+  if(!content||!viewport)return;
+  const oneListHeight=content.scrollHeight/2;
+  const pxPerSec=45; // raise = faster (e.g., 60); lower = slower
+  const durationMs=Math.max(30000,Math.round((oneListHeight/pxPerSec)*1000));
+  const anim=content.getAnimations?content.getAnimations()[0]:null;
+  const prevMs=parseFloat(root.style.getPropertyValue('--scroll-ms'))||${p.scrollMs};
+  const frac=anim&&anim.currentTime!=null&&lastListHeight?(anim.currentTime%prevMs)/prevMs*lastListHeight/(oneListHeight||1):0;
+  root.style.setProperty('--scroll-ms',durationMs+'ms');
+  const next=content.getAnimations?content.getAnimations()[0]:null;
+  if(next&&frac) next.currentTime=Math.min(frac,.97)*durationMs;
+  lastListHeight=oneListHeight;
+}
+autoSpeed();
+
+// Fixed strings (HTML, both languages when bilingual)
+const L=${JSON.stringify(L).replace(/</g, '\\u003c')};
+const NO_EVENTS=${JSON.stringify(noEventsHtml(p)).replace(/</g, '\\u003c')};
+${p.bilingual && p.bilingual.mode === 'alternate' ? `setInterval(()=>document.body.classList.toggle('show-l2'),${p.bilingual.switchMs});` : ''}
+
+// --- Live data: re-fetch ${dataUrl}, drop finished events ---
+const DATA_URL=${JSON.stringify(dataUrl)};
+let pageData=${json};
+let shownKey=null;
+function current(list){
+  const now=nowMs();
+  return list.filter(e=>new Date(e.end||e.start).getTime()>now);
+}
+// In progress: shows the row's "Now" tag
+function live(e){
+  const now=nowMs();
+  return !!e.end&&Date.parse(e.start)<=now&&Date.parse(e.end)>now;
+}
+function renderDays(items){
+  const days=[];
+  items.forEach(e=>{
+    const last=days[days.length-1];
+    const html=live(e)?e.html.replace('class="event"','class="event live"'):e.html;
+    if(last&&last.label===e.day) last.rows.push(html);
+    else days.push({label:e.day,html:e.dayHtml,rows:[html]});
+  });
+  return days.map(d=>dayHtml(d.html,d.rows)).join('');
+}
+function renderList(force){
+  const events=current(pageData.events), featured=current(pageData.featured);
+  const wx=renderWeather(pageData.weather);
+  const spot=showSpotlight(false);
+  const key=events.map(e=>e.html+(live(e)?'*':'')).join('')+'|'+featured.map(e=>e.html).join('')+'|'+(pageData.stale?pageData.stale.label:'')+'|'+wx+'|'+spot;
+  if(key===shownKey&&!force)return;
+  const first=shownKey===null;
+  shownKey=key;
+  const unchanged=first&&events.length===pageData.events.length&&featured.length===pageData.featured.length&&!events.some(live);
+  const stale=el('stale');
+  stale.innerHTML=pageData.stale?pageData.stale.label:'';
+  stale.hidden=!pageData.stale;
+  if(!unchanged){
+    el('fcards').innerHTML=featured.map(e=>e.html).join('');
+    el('featured').hidden=!featured.length;
+  }
+  const blocks=renderDays(events)||NO_EVENTS;
+  if(MODE==='pages'){ showPages(paginate(blocks)); return; }
+  if(unchanged)return; // server markup is current
+  document.querySelector('.vcontent').innerHTML=blocks+renderDays(events);
+  autoSpeed();
+}
+
+// Weather badge, forecast strip and severe-weather takeover of the header;
+// returns what is shown so a change re-lays the list out.
+function renderWeather(wx){
+  const alerts=wx?wx.alerts.filter(a=>!a.until||new Date(a.until).getTime()>nowMs()):[];
+  const text=alerts.length?'⚠ '+alerts.map(a=>a.html).join(' · '):L.upcoming;
+  const badge=el('weather'), strip=el('forecast');
+  const head=el('phead'), title=el('ptitle');
+  if(badge.innerHTML!==(wx?wx.badge:''))badge.innerHTML=wx?wx.badge:'';
+  badge.hidden=!wx;
+  if(strip.innerHTML!==(wx?wx.forecast:''))strip.innerHTML=wx?wx.forecast:'';
+  strip.hidden=!(wx&&wx.forecast);
+  if(title.innerHTML!==text)title.innerHTML=text;
+  head.classList.toggle('alert',alerts.length>0);
+  if(alerts.length)head.setAttribute('role','alert'); else head.removeAttribute('role');
+  return (wx?wx.forecast:'')+text;
+}
+
+// --- Spotlight: rotate through events with details every SPOTLIGHT_MS ---
+const SPOTLIGHT_MS=${p.spotlightMs};
+let spotIndex=0, spotShown=pageData.spotlight.length?pageData.spotlight[0].html:''; // server markup
+// Shows the current card (the next one when advancing); returns whether the
+// spotlight is on screen, since that changes the room left for the list.
+function showSpotlight(advance){
+  const list=current(pageData.spotlight);
+  const box=el('spotlight');
+  box.hidden=!list.length;
+  if(!list.length)return false;
+  if(advance)spotIndex++;
+  const html=list[spotIndex%list.length].html;
+  if(html!==spotShown){ box.innerHTML=html; spotShown=html; }
+  return true;
+}
+setInterval(()=>{ if(current(pageData.spotlight).length>1) showSpotlight(true); },SPOTLIGHT_MS);
+
+// --- Pages mode: split the list into viewport-sized pages and rotate ---
+// Scrolling gives way to pages when the screen asks for reduced motion.
+const MODE=${p.mode === 'scroll' ? `window.matchMedia&&matchMedia('(prefers-reduced-motion: reduce)').matches?'pages':'scroll'` : JSON.stringify(p.mode)};
+if(MODE!==${JSON.stringify(p.mode)}) document.querySelector('.vwrap').classList.add('pages','fade');
+const DWELL_MS=${p.pageDwellMs};
+let pageIndex=0, pageCount=0;
+function dayHtml(label,rows){
+  return '<div class="day"><div class="dayhead">'+label+'</div>'+rows.join('')+'</div>';
+}
+// Measures the day blocks in flow and packs them into pages, moving a whole
+// day to the next page when it fits there and splitting between rows only
+// when a single day is taller than the viewport.
+function paginate(blocks){
+  const content=document.querySelector('.vcontent');
+  const avail=document.querySelector('.vwrap').clientHeight;
+  content.innerHTML=blocks;
+  const pages=[];
+  let cur=[], used=0;
+  const flush=()=>{ if(cur.length) pages.push(cur.join('')); cur=[]; used=0; };
+  content.querySelectorAll('.day').forEach(day=>{
+    const h=day.offsetHeight;
+    if(used+h<=avail){ cur.push(day.outerHTML); used+=h; return; }
+    if(h<=avail){ flush(); cur.push(day.outerHTML); used=h; return; }
+    const rows=[...day.querySelectorAll('.event')];
+    const chrome=h-rows.reduce((s,r)=>s+r.offsetHeight,0);
+    const label=day.querySelector('.dayhead').innerHTML;
+    let part=[], partH=0, cont=false;
+    rows.forEach(r=>{
+      const rh=r.offsetHeight;
+      if(used+chrome+partH+rh>avail&&(part.length||used)){
+        if(part.length){ cur.push(dayHtml(cont?label+' '+L.cont:label,part)); cont=true; }
+        flush(); part=[]; partH=0;
+      }
+      part.push(r.outerHTML); partH+=rh;
+    });
+    if(part.length){ cur.push(dayHtml(cont?label+' '+L.cont:label,part)); used+=chrome+partH; }
+  });
+  flush();
+  return pages;
+}
+function showPages(pages){
+  const content=document.querySelector('.vcontent');
+  content.innerHTML=pages.map(h=>'<div class="page">'+h+'</div>').join('');
+  pageCount=pages.length;
+  setPage(Math.min(pageIndex,Math.max(0,pageCount-1)),true);
+}
+function setPage(i,instant){
+  const els=document.querySelectorAll('.vcontent .page');
+  els.forEach((el,k)=>{
+    el.classList.toggle('prev',!instant&&k===pageIndex&&k!==i);
+    el.classList.toggle('active',k===i);
+  });
+  pageIndex=i;
+  const pager=el('pager');
+  pager.textContent=(i+1)+' / '+pageCount;
+  pager.hidden=pageCount<2;
+}
+if(MODE==='pages'){
+  setInterval(()=>{ if(pageCount>1) setPage((pageIndex+1)%pageCount); },DWELL_MS);
+  let resizeTimer=null;
+  window.addEventListener('resize',()=>{ clearTimeout(resizeTimer); resizeTimer=setTimeout(()=>renderList(true),300); });
+}
+async function refreshData(){
+  try{
+    const r=await fetch(DATA_URL+'?t='+Date.now(),{cache:'no-store'});
+    if(r.ok) pageData=await r.json();
+  }catch(e){ /* keep showing what we have */ }
+  renderList();
+}
+renderList();
+setInterval(renderList,30*1000);
+setInterval(refreshData,${p.refreshMs});
+
+${noticeScript(p, notices, noticesUrl)}
+${displayScript(p)}
+</script>
+</body></html>`;
+}
+
+// Now / Next page for one room; `dataUrl` is its sibling events.json.
+function renderRoomHtml(p, data, dataUrl, notices, noticesUrl, clockOffsetMs = 0){
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  const keys = ['happeningNow', 'available', 'free', 'next', 'laterToday', 'endsIn', 'nextIn', 'minutes', 'hoursMinutes'];
+  const langs = [p.locale].concat(p.bilingual ? [p.bilingual.locale] : [])
+    .map(locale => ({ locale, s: Object.fromEntries(keys.map(k => [k, t({ ...p, locale }, k)])) }));
+
+  return `<!doctype html><html lang="${esc(p.locale)}"><head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${esc(data.room)} · ${esc(p.brand)}</title>
+${fontLink(p)}<style>
+${themeCss(p)}html,body{height:100%}
+body{margin:0;background:var(--panel-bg);color:var(--panel-fg)}
+.wrap{display:flex;flex-direction:column;height:100%}
+.bar{display:flex;align-items:center;justify-content:space-between;padding:.8rem 1.4rem;background:var(--banner-bg);color:var(--banner-fg)}
+.room{display:flex;align-items:center;gap:.8rem;font-weight:800;font-size:clamp(1.4rem,4vw,3rem)}
+.clock{font-weight:700;font-variant-numeric:tabular-nums;font-size:clamp(1rem,2.4vw,1.8rem)}
+.card{padding:1.2rem 1.4rem;border-bottom:1px solid var(--rule)}
+.label{text-transform:uppercase;letter-spacing:.08em;font-weight:800;font-size:clamp(.8rem,1.6vw,1.1rem);opacity:.75}
+.now{background:var(--accent-red);color:#fff;flex:1;display:flex;flex-direction:column;justify-content:center}
+.now.free{background:#2e7d32}
+.now .title{font-size:clamp(2rem,7vw,5.5rem);font-weight:800;line-height:1.1;margin:.3rem 0}
+.now .when,.next .when{font-size:clamp(1rem,2.6vw,1.8rem);opacity:.9}
+.countdown{font-size:clamp(1.2rem,3.4vw,2.6rem);font-weight:800;font-variant-numeric:tabular-nums;margin-top:.4rem}
+.progress{height:.5rem;background:rgba(255,255,255,.3);border-radius:999px;margin-top:.8rem;overflow:hidden}
+.progress span{display:block;height:100%;background:#fff}
+.next .title{font-size:clamp(1.4rem,4vw,3rem);font-weight:800;margin:.2rem 0}
+.later ul{list-style:none;margin:.4rem 0 0;padding:0}
+.later li{display:flex;gap:1rem;padding:.35rem 0;font-size:clamp(1rem,2.2vw,1.5rem);border-top:1px solid var(--rule)}
+.later li .when{flex:none;min-width:9em;font-variant-numeric:tabular-nums;opacity:.8}
+${BILINGUAL_CSS}${NOTICE_CSS}${DISPLAY_CSS}</style>
+</head>
+<body${p.bilingual ? ` class="bi-${p.bilingual.mode}"` : ''}>
+<div class="wrap">
+  <div class="bar">
+    <div class="room">${p.logo ? `<img class="logo" src="${esc(p.logo)}" alt="">` : ''}<span>${esc(data.room)}</span></div>
+    <div class="clock" id="clock"></div>
+  </div>
+  <div class="card now" id="now"></div>
+  <div class="card next" id="next"></div>
+  <div class="card later" id="later"></div>
+</div>
+<div class="offscreen" id="offscreen" hidden><div class="offclock" id="offclock"></div></div>
+<div class="emergency" id="emergency" role="alert" hidden></div>
+<script>
+const NOW_OFFSET=${clockOffsetMs};
+function nowMs(){ return Date.now()+NOW_OFFSET; }
+const TZ=${JSON.stringify(p.timezone)};
+const DATA_URL=${JSON.stringify(dataUrl)};
+let roomData=${json};
+const LANGS=${JSON.stringify(langs).replace(/</g, '\\u003c')};
+const dayKey=new Intl.DateTimeFormat('en-CA',{year:'numeric',month:'2-digit',day:'2-digit',timeZone:TZ});
+const clockFmts=LANGS.map(l=>new Intl.DateTimeFormat(l.locale,{weekday:'long',hour:'numeric',minute:'2-digit',timeZone:TZ,hourCycle:${JSON.stringify(p.hour24 ? 'h23' : 'h12')}}));
+function escHtml(s){ return String(s||'').replace(/[&<>"']/g,m=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
+function fill(s,v){ return s.replace(/\\{(\\w+)\\}/g,(m,k)=>k in v?v[k]:m); }
+// HTML in one language, or both as .l1 / .l2 spans
+function bi(render){
+  return LANGS.length<2?render(LANGS[0],0):'<span class="l1">'+render(LANGS[0],0)+'</span><span class="l2">'+render(LANGS[1],1)+'</span>';
+}
+function tr(key,vars){ return bi(l=>escHtml(fill(l.s[key],vars?vars(l):{}))); }
+function left(ms,l){
+  const m=Math.max(1,Math.ceil(ms/60000));
+  return m>=60?fill(l.s.hoursMinutes,{h:Math.floor(m/60),m:String(m%60).padStart(2,'0')}):fill(l.s.minutes,{m:m});
+}
+function setHtml(id,html){ const el=document.getElementById(id); if(el.innerHTML!==html)el.innerHTML=html; el.hidden=!html; }
+
+// Current event (with countdown to its end), the next one, then the rest of today.
+function render(){
+  const now=nowMs(), today=dayKey.format(new Date(now));
+  setHtml('clock',bi((l,i)=>escHtml(clockFmts[i].format(new Date(now)))));
+  const live=roomData.events.filter(e=>Date.parse(e.end||e.start)>now);
+  const cur=live.find(e=>e.end&&Date.parse(e.start)<=now);
+  const rest=live.filter(e=>Date.parse(e.start)>now);
+  const next=rest[0];
+  const nowEl=document.getElementById('now');
+  nowEl.classList.toggle('free',!cur);
+  if(cur){
+    const s=Date.parse(cur.start), e=Date.parse(cur.end);
+    setHtml('now','<div class="label">'+tr('happeningNow')+'</div><div class="title">'+cur.titleHtml+'</div><div class="when">'+cur.whenHtml+'</div>'+
+      (cur.allDay?'':'<div class="countdown">'+tr('endsIn',l=>({time:left(e-now,l)}))+'</div><div class="progress"><span style="width:'+Math.round((now-s)/(e-s)*100)+'%"></span></div>'));
+  }else{
+    setHtml('now','<div class="label">'+tr('available')+'</div><div class="title">'+tr('free')+'</div>'+
+      (next&&next.day===today?'<div class="countdown">'+tr('nextIn',l=>({time:left(Date.parse(next.start)-now,l)}))+'</div>':''));
+  }
+  setHtml('next',next?'<div class="label">'+tr('next')+'</div><div class="title">'+next.titleHtml+'</div><div class="when">'+
+    (next.day===today?'':next.dayHtml+' · ')+next.whenHtml+'</div>':'');
+  const later=rest.slice(1).filter(e=>e.day===today);
+  setHtml('later',later.length?'<div class="label">'+tr('laterToday')+'</div><ul>'+later.map(e=>
+    '<li><span class="when">'+e.whenHtml+'</span><span>'+e.titleHtml+'</span></li>').join('')+'</ul>':'');
+}
+async function refreshData(){
+  try{
+    const r=await fetch(DATA_URL+'?t='+Date.now(),{cache:'no-store'});
+    if(r.ok) roomData=await r.json();
+  }catch(e){ /* keep showing what we have */ }
+  render();
+}
+render();
+setInterval(render,1000);
+setInterval(refreshData,${p.refreshMs});
+${p.bilingual && p.bilingual.mode === 'alternate' ? `setInterval(()=>document.body.classList.toggle('show-l2'),${p.bilingual.switchMs});` : ''}
+
+${noticeScript(p, notices, noticesUrl)}
+${displayScript(p)}</script>
+</body></html>`;
+}
+
+// ── Announcements file (YAML subset) ───────────────────────────────
+// The YAML this needs: a list of flat mappings, optionally under
+// "announcements:", with plain, quoted, number and true/false values.
+//   - text: Parking deck closed Friday
+//     end: 2026-10-23
+function parseYamlList(text) {
+  const list = [];
+  let item = null;
+  text.split(/\r?\n/).forEach((line, i) => {
+    const body = stripYamlComment(line);
+    if (!body.trim() || /^announcements:$/.test(body)) return;
+    const m = body.match(/^\s*(-\s+)?([\w-]+):\s*(.*)$/);
+    if (!m || (!m[1] && !item)) throw new Error(`line ${i + 1}: expected "- key: value" or "key: value"`);
+    if (m[1]) list.push(item = {});
+    item[m[2]] = yamlScalar(m[3]);
+  });
+  return list;
+}
+
+// A "#" starts a comment at the start of a line or after a space, but not
+// inside a quoted value: text: "Parking lot #3 closed" keeps its "#3".
+function stripYamlComment(line) {
+  const m = line.match(/^(\s*(?:-\s+)?[\w-]+:\s*)(["'])/);
+  if (m) {
+    const q = m[2];
+    let i = m[1].length + 1;
+    while (i < line.length) {
+      if (q === '"' && line[i] === '\\') i += 2;
+      else if (line[i] === q && q === "'" && line[i + 1] === "'") i += 2;
+      else if (line[i] === q) break;
+      else i++;
+    }
+    return line.slice(0, i + 1) + line.slice(i + 1).replace(/\s#.*$/, '').trimEnd();
+  }
+  return line.replace(/(^|\s)#.*$/, '').trimEnd();
+}
+
+function yamlScalar(v) {
+  if (/^".*"$/.test(v)) return JSON.parse(v);
+  if (/^'.*'$/.test(v)) return v.slice(1, -1).replace(/''/g, "'");
+  if (v === 'true' || v === 'false') return v === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  return v;
+}
+
+// ── Shared with build.js ───────────────────────────────────────────
+export {
+  STRINGS, IMAGE_EXT,
+  isPlainObject, mergeFeeds, sameEvent, upcoming, parseYamlList,
+  wallClockToUTCISO, dayKey, dayList, parseRange,
+  t, bi, esc, stripHtml, titleFor, fmtDate, fmtTime, fmtWhen,
+  layoutFile, logoSrc, themeCss, fontLink, siblingPath, pageData, renderHtml, renderRoomHtml
+};
@@ -0,0 +1,34 @@
+// A band across the bottom third of the screen, over video or a backdrop
+// (the page itself is transparent): banner and the next featured event on
+// the left, the list on the right, announcements underneath. No forecast
+// strip or spotlight; rows are one line each.
+export default {
+  body: ({ partials: P }) => `<div class="wrap">
+  <div class="band">
+    <div class="side">
+      ${P.banner()}
+      ${P.featured()}
+    </div>
+    ${P.list()}
+  </div>
+  ${P.ticker()}
+</div>`,
+  css: `
+.wrap{justify-content:flex-end}
+.band{display:flex;height:33vh;min-height:0}
+.swap .band{flex-direction:row-reverse}
+.side{width:32%;display:flex;flex-direction:column;min-height:0}
+.side .bar,.swap .side .bar{flex:1;flex-direction:column;align-items:flex-start;justify-content:center;gap:.3rem}
+.side .right{flex-wrap:wrap}
+.side .featured{border-top:1px solid var(--rule)}
+.side .featured .panel-header{display:none}
+.side .fcard:nth-child(n+2),.side .fdesc,.side .fimg,.side .fcard .qr-box{display:none}
+.band .panel{flex:1;min-width:0}
+.band .panel-header{padding:.3rem .9rem}
+.band .day{padding:.4rem 1rem .5rem}
+.band .event{display:flex;align-items:baseline;gap:1rem;padding:.15rem 0}
+.band .event .title{flex:1;min-width:0;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.band .event .meta{flex:none;margin:0}
+.band .details{display:none}
+`
+};
@@ -0,0 +1,27 @@
+// Portrait screens (9:16): the standard order with the banner stacked,
+// larger type for reading across a lobby, and day headings with the
+// weekday spelled out.
+import standard from './standard.js';
+
+export default {
+  ...standard,
+  css: `
+.bar{flex-direction:column;align-items:flex-start;gap:.4rem;padding:1rem 1.2rem}
+.swap .bar{flex-direction:column-reverse}
+.brand{font-size:clamp(1.6rem,6vw,3rem)}
+.clock{font-size:clamp(1.1rem,3.6vw,1.9rem)}
+.panel-header{font-size:clamp(1.1rem,4vw,1.9rem)}
+.fday{font-size:clamp(.85rem,3vw,1.3rem)}
+.dayhead{font-size:clamp(1.05rem,3.8vw,1.8rem)}
+.dh-weekday{font-weight:900;text-transform:uppercase;letter-spacing:.04em;margin-right:.3em}
+.title{font-size:clamp(1.1rem,4.2vw,2rem)}
+.meta{font-size:clamp(.95rem,3.4vw,1.6rem)}
+.spotlight{height:clamp(160px,26vh,560px)}
+.sbody .title{font-size:clamp(1.2rem,4.6vw,2.2rem)}
+.sdesc{font-size:clamp(.95rem,3.2vw,1.5rem)}
+`,
+  partials: {
+    dayHeader: ({ p, h }, d) => h.bi(p, q =>
+      `<span class="dh-weekday">${h.esc(h.date(d, q, { weekday: 'long' }))}</span>${h.esc(h.date(d, q, { month: 'long', day: 'numeric' }))}`)
+  }
+};
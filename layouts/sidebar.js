@@ -0,0 +1,31 @@
+// Wide screens: the banner across the top, then a column with the
+// forecast, featured events and spotlight beside the event list.
+export default {
+  body: ({ partials: P }) => `<div class="wrap">
+  ${P.banner()}
+  <div class="columns">
+    <div class="aside">
+      ${P.forecast()}
+      ${P.featured()}
+      ${P.spotlight()}
+    </div>
+    ${P.list()}
+  </div>
+  ${P.ticker()}
+</div>`,
+  css: `
+.columns{flex:1;display:flex;min-height:0}
+.swap .columns{flex-direction:row-reverse}
+.aside{width:36%;display:flex;flex-direction:column;min-height:0;overflow:hidden;background:var(--panel-bg);border-left:1px solid var(--rule)}
+.aside .forecast{border-top:0}
+.aside .featured{border:0}
+.aside .spotlight{flex:1;height:auto;min-height:0;border:0;border-top:1px solid var(--rule)}
+.aside .scard{flex-direction:column;animation-name:fadein}
+@keyframes fadein{from{opacity:0}}
+.aside .simg{width:100%;height:auto;max-height:40%;aspect-ratio:16/9}
+.aside .sdesc{-webkit-line-clamp:6}
+.aside .scard .qr-box{height:auto;flex-direction:row;align-self:flex-start}
+.aside .scard .qr{width:clamp(72px,9vw,128px);flex:none}
+.columns .panel{flex:1;min-width:0}
+`
+};
@@ -0,0 +1,25 @@
+// The default layout: banner, forecast strip, featured events, spotlight,
+// the event list and the announcement ticker, top to bottom.
+//
+// A layout is a module whose default export has `body(ctx)`, returning the
+// page inside <body>: one element with class "wrap" (dimming, pixel shift
+// and the emergency takeover act on it) that includes `partials.list()`.
+// Optional: `css`, added after the built-in styles, and `partials`, each
+// (ctx, ...args) => html, replacing a built-in one of the same name.
+//
+// ctx: `p` (the profile), `data` (what events.json holds), `partials`
+// (banner, weather, forecast, featured, spotlight, list, ticker,
+// eventRow(e, day), dayHeader(date)), `base` (the built-in partials) and
+// helpers `h` (esc, t, bi, date, fmtDate, fmtTime, fmtWhen, titleFor, summary).
+// Parts left out are simply not shown. An eventRow must stay one element
+// with class "event"; a dayHeader is the text inside the day's heading.
+export default {
+  body: ({ partials: P }) => `<div class="wrap">
+  ${P.banner()}
+  ${P.forecast()}
+  ${P.featured()}
+  ${P.spotlight()}
+  ${P.list()}
+  ${P.ticker()}
+</div>`
+};
@@ -0,0 +1,164 @@
+// The public API of calendar.js against the ICS files in fixtures/.
+// Run with: node --test test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseICS, expandEvents, filterEvents, profileFilters, groupByDay, render, parseYamlList } from '../calendar.js';
+
+const YEAR = { from: new Date('2026-01-01T00:00:00Z'), until: new Date('2026-12-31T00:00:00Z') };
+
+function fixture(name, range = YEAR) {
+  const text = fs.readFileSync(fileURLToPath(new URL(`fixtures/${name}.ics`, import.meta.url)), 'utf8');
+  return expandEvents(parseICS(text), range);
+}
+
+const starts = (events, uid) => events.filter(e => e.uid === uid).map(e => e.start);
+
+// ── DST transitions ────────────────────────────────────────────────
+test('weekly events keep their wall-clock time across spring forward', () => {
+  assert.deepEqual(starts(fixture('dst'), 'weekly-spring@atrium'), [
+    '2026-03-01T15:00:00.000Z',  // 10:00 EST
+    '2026-03-08T14:00:00.000Z',  // 10:00 EDT
+    '2026-03-15T14:00:00.000Z'
+  ]);
+});
+
+test('Windows zone names resolve, and fall back shifts the UTC time', () => {
+  assert.deepEqual(starts(fixture('dst'), 'weekly-fall@atrium'), [
+    '2026-10-25T13:00:00.000Z',  // 09:00 EDT
+    '2026-11-01T14:00:00.000Z',  // 09:00 EST
+    '2026-11-08T14:00:00.000Z'
+  ]);
+});
+
+test('an event spanning the fall-back hour lasts an hour longer than its wall-clock times', () => {
+  const vigil = fixture('dst').find(e => e.uid === 'overnight@atrium');
+  assert.equal(vigil.start, '2026-11-01T02:00:00.000Z');
+  assert.equal(vigil.end, '2026-11-01T09:00:00.000Z');
+});
+
+// ── All-day events ─────────────────────────────────────────────────
+test('all-day events run local midnight to midnight with an exclusive end', () => {
+  const [single, retreat, fair] = fixture('all-day');
+  assert.ok(single.allDay && retreat.allDay && fair.allDay);
+  assert.equal(single.start, '2026-10-20T04:00:00.000Z');
+  assert.equal(single.end, '2026-10-21T04:00:00.000Z');
+  assert.equal(retreat.end, '2026-10-25T04:00:00.000Z');
+  assert.equal(fair.end, '2026-10-29T04:00:00.000Z');  // DURATION:P2D
+});
+
+test('groupByDay lists a multi-day event under each of its days', () => {
+  const days = groupByDay(fixture('all-day'), { timezone: 'America/New_York' });
+  assert.deepEqual(days.map(d => [d.date, d.events.map(e => e.uid)]), [
+    ['2026-10-20', ['single@atrium']],
+    ['2026-10-22', ['retreat@atrium']],
+    ['2026-10-23', ['retreat@atrium']],
+    ['2026-10-24', ['retreat@atrium']],
+    ['2026-10-27', ['duration@atrium']],
+    ['2026-10-28', ['duration@atrium']]
+  ]);
+  assert.equal(days[0].label, 'Tue, Oct 20');
+});
+
+test('groupByDay uses the profile time zone and locale', () => {
+  const days = groupByDay(fixture('dst'), { timezone: 'Asia/Tokyo', locale: 'es-US' });
+  const vigil = days.filter(d => d.events.some(e => e.uid === 'overnight@atrium'));
+  assert.deepEqual(vigil.map(d => d.date), ['2026-11-01']);
+  assert.match(vigil[0].label, /nov/i);
+});
+
+// ── Escaped text and folded lines ──────────────────────────────────
+test('text values are unescaped', () => {
+  const e = fixture('text').find(e => e.uid === 'escaped@atrium');
+  assert.equal(e.title, 'Coffee, Cake; Conversation');
+  assert.equal(e.location, 'Room 2\\B');
+  assert.equal(e.description, 'First line\nSecond line\nthird\\nnot a newline');
+  assert.deepEqual(e.categories, ['Public', 'Food, Drink']);
+});
+
+test('folded lines are joined (CRLF, then a space or a tab)', () => {
+  const e = fixture('text').find(e => e.uid === 'folded@atrium');
+  assert.equal(e.title, 'A title folded across two lines');
+  assert.equal(e.description, 'Folded with a tab, then a space.');
+  assert.equal(e.location, 'Fellowship Hall');
+});
+
+// ── Recurrence overrides ───────────────────────────────────────────
+test('EXDATE, moved and cancelled instances', () => {
+  const choir = fixture('overrides').filter(e => e.uid === 'choir@atrium');
+  assert.deepEqual(choir.map(e => e.start), [
+    '2026-10-05T23:00:00.000Z',
+    '2026-10-20T22:00:00.000Z',  // moved from Monday the 19th
+    '2026-11-03T00:00:00.000Z',  // 19:00 EST after fall back
+    '2026-11-10T00:00:00.000Z'
+  ]);
+  const moved = choir.find(e => e.originalStart);
+  assert.equal(moved.originalStart, '2026-10-19T23:00:00.000Z');
+  assert.equal(moved.location, 'Fellowship Hall');
+});
+
+test('expandEvents keeps only instances inside the range, in time order', () => {
+  const range = { from: new Date('2026-10-15T00:00:00Z'), until: new Date('2026-11-05T00:00:00Z') };
+  assert.deepEqual(starts(fixture('overrides', range), 'choir@atrium'), [
+    '2026-10-20T22:00:00.000Z',
+    '2026-11-03T00:00:00.000Z'
+  ]);
+  const all = fixture('overrides').map(e => Date.parse(e.start));
+  assert.deepEqual(all, all.slice().sort((a, b) => a - b));
+});
+
+// ── Filters ────────────────────────────────────────────────────────
+test('filterEvents: the last matching rule decides', () => {
+  const events = fixture('overrides');
+  const titles = rules => [...new Set(filterEvents(events, rules).map(e => e.title))];
+  assert.equal(filterEvents(events, []), events);
+  assert.deepEqual(titles([{ exclude: { category: 'staff' } }]), ['Choir Rehearsal (moved)', 'Fall Concert']);
+  assert.deepEqual(titles([{ include: { location: 'chapel' } }, { exclude: { title: 'rehearsal', not: { category: 'public' } } }]),
+    ['Fall Concert']);
+  assert.deepEqual(titles([{ include: { any: [{ location: 'hall' }, { category: 'public' }] } }]),
+    ['Choir Rehearsal (moved)', 'Fall Concert']);
+});
+
+test('profileFilters hides cancelled and private events whatever the profile rules say', () => {
+  const events = [
+    { title: 'Vespers', location: 'Chapel', status: 'CONFIRMED', class: 'PUBLIC' },
+    { title: 'Organ Recital', location: 'Chapel', status: 'CANCELLED', class: 'PUBLIC' },
+    { title: 'Staff Meeting', location: 'Chapel', status: 'CONFIRMED', class: 'PRIVATE' },
+    { title: 'Budget Review', location: 'Board Room', status: 'CONFIRMED', class: 'CONFIDENTIAL' }
+  ];
+  const titles = profile => filterEvents(events, profileFilters(profile)).map(e => e.title);
+  assert.deepEqual(titles({}), ['Vespers']);
+  assert.deepEqual(titles({ filters: [{ include: { location: 'chapel' } }] }), ['Vespers']);
+  assert.deepEqual(titles({ filters: [{ include: { location: 'chapel' } }], hideCancelled: false }), ['Vespers', 'Organ Recital']);
+  assert.deepEqual(titles({ hidePrivate: false }), ['Vespers', 'Staff Meeting', 'Budget Review']);
+});
+
+// ── Rendering ──────────────────────────────────────────────────────
+test('render builds a page of the upcoming events', () => {
+  const events = [...fixture('overrides'), ...fixture('text')];
+  const html = render({ brand: 'Chapel <This Week>', daysAhead: 7 }, events, { now: new Date('2026-10-20T12:00:00Z') });
+  assert.match(html, /^<!doctype html>/i);
+  assert.match(html, /Chapel &lt;This Week&gt;/);
+  assert.match(html, /Fall Concert/);
+  assert.match(html, /Coffee, Cake; Conversation/);
+  assert.match(html, /Choir Rehearsal \(moved\)/);
+  assert.doesNotMatch(html, /2026-11-03T00:00/);  // past daysAhead
+});
+
+// ── Announcements file ─────────────────────────────────────────────
+test('parseYamlList keeps "#" inside quoted values and drops comments', () => {
+  const list = parseYamlList([
+    'announcements:  # facilities notices',
+    '  - text: "Parking lot #3 closed Friday"  # until noon',
+    "    where: 'Room #204, Bob''s office'",
+    '    priority: 2 # high',
+    '# - text: disabled',
+    '  - text: Lot 3 is open again # reopened'
+  ].join('\n'));
+  assert.deepEqual(list, [
+    { text: 'Parking lot #3 closed Friday', where: "Room #204, Bob's office", priority: 2 },
+    { text: 'Lot 3 is open again' }
+  ]);
+});